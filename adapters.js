@@ -0,0 +1,370 @@
+// Player adapters.
+// Each adapter detects one kind of video player and drives it through the same operations:
+// play, pause, seek (relative), seekTo (absolute), getState, setRate, setVolume, setMuted
+// and the caption operations getCaptionTrack, setCaptionTrack and toggleCaptions.
+// Caption tracks are numbered by their place in captionTracks(), -1 means captions are off.
+// To support a new player, write an adapter with createAdapter() and add it to
+// PLAYER_ADAPTERS above the bare HTML5 adapter.
+
+// Caption track each video showed last, so turning captions back on brings back the same language
+const lastCaptionTracks = new WeakMap();
+
+// The video's text tracks that are captions or subtitles, the ones the caption commands switch between
+function captionTracks(video) {
+  return Array.from(video.textTracks).filter(track => track.kind === 'captions' || track.kind === 'subtitles');
+}
+
+// The caption track to turn on: the one shown last, else the first in the browser's language, else the first
+function preferredCaptionTrack(video) {
+  if (lastCaptionTracks.has(video)) {
+    return lastCaptionTracks.get(video);
+  }
+
+  const language = navigator.language.split('-')[0];
+  const index = captionTracks(video).findIndex(track => track.language.split('-')[0] === language);
+  return Math.max(index, 0);
+}
+
+// Bare HTML5 adapter: works on any video element and provides the default for every operation
+const html5Adapter = {
+  name: 'html5',
+  label: 'HTML5 video',
+
+  // Any video can be driven through the media element API, the video itself is the player root
+  detect(video) {
+    return video;
+  },
+
+  play(player) {
+    const playPromise = player.video.play();
+    // Handle the play promise to avoid uncaught promise errors
+    if (playPromise !== undefined) {
+      playPromise.catch(error => {
+        console.error('Error playing video:', error);
+      });
+    }
+    return true;
+  },
+
+  pause(player) {
+    player.video.pause();
+    return true;
+  },
+
+  seek(player, seconds) {
+    return player.adapter.seekTo(player, player.video.currentTime + seconds);
+  },
+
+  seekTo(player, time) {
+    // Stay inside the video, live streams report an infinite duration
+    const duration = isFinite(player.video.duration) ? player.video.duration : Infinity;
+    player.video.currentTime = Math.min(Math.max(time, 0), duration);
+    return true;
+  },
+
+  getState(player) {
+    const video = player.video;
+    return {
+      adapter: player.adapter.name,
+      adapterLabel: player.adapter.label,
+      paused: video.paused,
+      currentTime: video.currentTime,
+      duration: isFinite(video.duration) ? video.duration : 0,
+      playbackRate: video.playbackRate,
+      volume: video.volume,
+      muted: video.muted
+    };
+  },
+
+  setRate(player, rate) {
+    player.video.playbackRate = rate;
+    return true;
+  },
+
+  setVolume(player, volume) {
+    player.video.volume = Math.min(Math.max(volume, 0), 1);
+    return true;
+  },
+
+  setMuted(player, muted) {
+    player.video.muted = muted;
+    return true;
+  },
+
+  getCaptionTrack(player) {
+    return captionTracks(player.video).findIndex(track => track.mode === 'showing');
+  },
+
+  setCaptionTrack(player, index) {
+    captionTracks(player.video).forEach((track, trackIndex) => {
+      track.mode = trackIndex === index ? 'showing' : 'disabled';
+    });
+    if (index >= 0) {
+      lastCaptionTracks.set(player.video, index);
+    }
+    return true;
+  },
+
+  toggleCaptions(player) {
+    const current = player.adapter.getCaptionTrack(player);
+    if (current >= 0) {
+      lastCaptionTracks.set(player.video, current);
+      return player.adapter.setCaptionTrack(player, -1);
+    }
+    return player.adapter.setCaptionTrack(player, preferredCaptionTrack(player.video));
+  }
+};
+
+// Build an adapter from only the operations that differ from the bare HTML5 version
+function createAdapter(definition) {
+  return Object.assign({}, html5Adapter, definition);
+}
+
+// Click the player's play/pause toggle, but only if the video isn't already in the wanted state
+function clickPlayToggle(player, selector, wantPaused) {
+  if (player.video.paused === wantPaused) {
+    return true;
+  }
+
+  const button = player.root.querySelector(selector);
+  if (!button) {
+    return false;
+  }
+
+  button.click();
+  return true;
+}
+
+// Click the player's mute toggle, but only if the video isn't already in the wanted state
+function clickMuteToggle(player, selector, wantMuted) {
+  if (player.video.muted === wantMuted) {
+    return true;
+  }
+
+  const button = player.root.querySelector(selector);
+  if (!button) {
+    return false;
+  }
+
+  button.click();
+  return true;
+}
+
+// Plyr: the toggles keep Plyr's own state in sync, and its settings menu and volume
+// slider are used for rate, caption language and volume so the controls show the new values
+const plyrAdapter = createAdapter({
+  name: 'plyr',
+  label: 'Plyr',
+
+  detect(video) {
+    return video.closest('.plyr');
+  },
+
+  play(player) {
+    return clickPlayToggle(player, 'button[data-plyr="play"]', false) || html5Adapter.play(player);
+  },
+
+  pause(player) {
+    return clickPlayToggle(player, 'button[data-plyr="play"]', true) || html5Adapter.pause(player);
+  },
+
+  setRate(player, rate) {
+    // Plyr keeps every speed option in its (hidden) settings menu
+    const speedItem = player.root.querySelector(`button[data-plyr="speed"][value="${rate}"]`);
+    if (speedItem) {
+      speedItem.click();
+      if (Math.abs(player.video.playbackRate - rate) < 0.01) {
+        return true;
+      }
+    }
+
+    // The menu doesn't offer this speed
+    return html5Adapter.setRate(player, rate);
+  },
+
+  setVolume(player, volume) {
+    // Plyr reads the volume from its slider's input event
+    const slider = player.root.querySelector('input[data-plyr="volume"]');
+    if (slider) {
+      slider.value = Math.min(Math.max(volume, 0), 1);
+      slider.dispatchEvent(new Event('input', { bubbles: true }));
+      if (Math.abs(player.video.volume - volume) < 0.01) {
+        return true;
+      }
+    }
+
+    return html5Adapter.setVolume(player, volume);
+  },
+
+  setMuted(player, muted) {
+    return clickMuteToggle(player, 'button[data-plyr="mute"]', muted) || html5Adapter.setMuted(player, muted);
+  },
+
+  getCaptionTrack(player) {
+    const button = player.root.querySelector('button[data-plyr="captions"]');
+    if (!button) {
+      return html5Adapter.getCaptionTrack(player);
+    }
+    if (!button.classList.contains('plyr__control--pressed')) {
+      return -1;
+    }
+
+    // Plyr ticks the language it shows in its settings menu, and draws captions itself from a hidden track
+    const languageItem = player.root.querySelector('button[data-plyr="language"][aria-checked="true"]');
+    if (languageItem && parseInt(languageItem.value) >= 0) {
+      return parseInt(languageItem.value);
+    }
+    return captionTracks(player.video).findIndex(track => track.mode === 'hidden');
+  },
+
+  setCaptionTrack(player, index) {
+    // Plyr lists every caption track in its (hidden) settings menu, with -1 for off
+    const languageItem = player.root.querySelector(`button[data-plyr="language"][value="${index}"]`);
+    if (languageItem) {
+      languageItem.click();
+      return true;
+    }
+
+    return html5Adapter.setCaptionTrack(player, index);
+  },
+
+  toggleCaptions(player) {
+    const button = player.root.querySelector('button[data-plyr="captions"]');
+    if (button) {
+      button.click();
+      return true;
+    }
+
+    return html5Adapter.toggleCaptions(player);
+  }
+});
+
+// YouTube: the play button goes through YouTube's own state handling (ads, autoplay)
+const youtubeAdapter = createAdapter({
+  name: 'youtube',
+  label: 'YouTube',
+
+  detect(video) {
+    return video.closest('.html5-video-player');
+  },
+
+  play(player) {
+    return clickPlayToggle(player, '.ytp-play-button', false) || html5Adapter.play(player);
+  },
+
+  pause(player) {
+    return clickPlayToggle(player, '.ytp-play-button', true) || html5Adapter.pause(player);
+  }
+});
+
+// Video.js: the control bar listens to the media element, only play/pause and mute go through its buttons
+// so Video.js remembers the volume to return to when unmuting
+const videojsAdapter = createAdapter({
+  name: 'videojs',
+  label: 'Video.js',
+
+  detect(video) {
+    return video.closest('.video-js');
+  },
+
+  play(player) {
+    return clickPlayToggle(player, '.vjs-play-control', false) || html5Adapter.play(player);
+  },
+
+  pause(player) {
+    return clickPlayToggle(player, '.vjs-play-control', true) || html5Adapter.pause(player);
+  },
+
+  setMuted(player, muted) {
+    return clickMuteToggle(player, '.vjs-mute-control', muted) || html5Adapter.setMuted(player, muted);
+  }
+});
+
+// MediaElement.js, in both its current (mejs__) and legacy (mejs-) class prefixes
+const mediaElementAdapter = createAdapter({
+  name: 'mediaelement',
+  label: 'MediaElement.js',
+
+  detect(video) {
+    return video.closest('.mejs__container, .mejs-container');
+  },
+
+  play(player) {
+    return clickPlayToggle(player, '.mejs__playpause-button button, .mejs-playpause-button button', false) ||
+      html5Adapter.play(player);
+  },
+
+  pause(player) {
+    return clickPlayToggle(player, '.mejs__playpause-button button, .mejs-playpause-button button', true) ||
+      html5Adapter.pause(player);
+  }
+});
+
+// Media Chrome (<media-controller>, also what <mux-player> is built from): its controls ask the
+// controller for changes with media request events, sending the same events keeps them in sync.
+// The video is often inside the shadow roots of <mux-player> and <mux-video>.
+const mediaChromeAdapter = createAdapter({
+  name: 'mediachrome',
+  label: 'Media Chrome',
+
+  detect(video) {
+    return deepClosest(video, 'media-controller');
+  },
+
+  play(player) {
+    return sendMediaRequest(player, 'mediaplayrequest');
+  },
+
+  pause(player) {
+    return sendMediaRequest(player, 'mediapauserequest');
+  },
+
+  seekTo(player, time) {
+    const duration = isFinite(player.video.duration) ? player.video.duration : Infinity;
+    return sendMediaRequest(player, 'mediaseekrequest', Math.min(Math.max(time, 0), duration));
+  },
+
+  setRate(player, rate) {
+    return sendMediaRequest(player, 'mediaplaybackraterequest', rate);
+  },
+
+  setVolume(player, volume) {
+    return sendMediaRequest(player, 'mediavolumerequest', Math.min(Math.max(volume, 0), 1));
+  },
+
+  setMuted(player, muted) {
+    return sendMediaRequest(player, muted ? 'mediamuterequest' : 'mediaunmuterequest');
+  }
+});
+
+// Send a Media Chrome media request event to the player's <media-controller>
+function sendMediaRequest(player, type, detail) {
+  player.root.dispatchEvent(new CustomEvent(type, { detail: detail, bubbles: true, composed: true }));
+  return true;
+}
+
+// Adapters in the order they are tried, the bare HTML5 adapter matches every video so it comes last
+const PLAYER_ADAPTERS = [
+  plyrAdapter,
+  youtubeAdapter,
+  videojsAdapter,
+  mediaElementAdapter,
+  mediaChromeAdapter,
+  html5Adapter
+];
+
+// Find the best matching adapter for a video and return a player handle for it
+function findPlayer(video) {
+  if (!video) {
+    return null;
+  }
+
+  for (const adapter of PLAYER_ADAPTERS) {
+    const root = adapter.detect(video);
+    if (root) {
+      return { adapter: adapter, video: video, root: root };
+    }
+  }
+
+  return null;
+}
@@ -1,144 +1,341 @@
-// Add a flag to track if a command is currently being processed
-let isProcessingCommand = false;
+// Shared settings store (loadSettings, migrateStoredSettings, onSettingsChanged)
+importScripts('settings.js');
 
-// Add a debounce timer
-let commandDebounceTimer = null;
+// Seek commands are coalesced in the queue, quick repeats speed the seek up
+const SEEK_COMMANDS = ['rewind', 'fast-forward'];
 
-// Last command timestamp to track and prevent duplicate executions
-let lastCommandTimestamp = 0;
+// Scripts the manifest injects into every frame, in order, reused when injecting them by hand
+const CONTENT_SCRIPT_FILES = chrome.runtime.getManifest().content_scripts[0].js;
+
+// Give up waiting for a content script response after this long and move on with the queue.
+// The content script may try several strategies, each verified for a moment, before it answers.
+const COMMAND_RESPONSE_TIMEOUT = 3000;
+
+// Settings as a promise, so commands arriving while the service worker starts up wait for them
+let settingsReady = loadSettings();
+
+// Settings saved by an older version of the extension are saved again in the current shape
+chrome.runtime.onInstalled.addListener(() => {
+  migrateStoredSettings();
+});
+chrome.runtime.onStartup.addListener(() => {
+  migrateStoredSettings();
+});
+
+// Pick up changes made in the options page or popup, or synced from another machine
+onSettingsChanged((settings) => {
+  settingsReady = Promise.resolve(settings);
+});
+
+// The current run of quickly repeated seek presses
+let seekStreak = { command: null, count: 0, timestamp: 0 };
+
+// Pending commands per tab, each tab runs its commands one at a time and in order
+const commandQueues = new Map();
+
+// Counter used to give every keypress its own id
+let commandCounter = 0;
+
+// Count this press into the seek streak and return how many steps it should seek
+function nextSeekMultiplier(command, now, settings) {
+  if (seekStreak.command === command && now - seekStreak.timestamp < settings.seekStreakWindow) {
+    seekStreak.count = Math.min(seekStreak.count + 1, settings.maxSeekMultiplier);
+  } else {
+    seekStreak.count = 1;
+  }
+
+  seekStreak.command = command;
+  seekStreak.timestamp = now;
+  return seekStreak.count;
+}
 
 // Listen for keyboard commands
 chrome.commands.onCommand.addListener((command) => {
-  // Strong protection against multiple rapid executions
+  // The press is counted into the seek streak when it arrives, not when the queue gets to it,
+  // so quick presses accelerate the same whether or not a command is still running
   const now = Date.now();
 
-  // If another command was executed in the last 500ms, ignore this one completely
-  if (now - lastCommandTimestamp < 500) {
-    console.log('Command blocked - too soon after previous command');
-    return;
+  // Get the active tab
+  Promise.all([settingsReady, chrome.tabs.query({ active: true, currentWindow: true })]).then(([settings, tabs]) => {
+    if (tabs.length === 0) {
+      return;
+    }
+
+    const tabId = tabs[0].id;
+
+    if (!SEEK_COMMANDS.includes(command)) {
+      enqueueCommand(tabId, { command: command });
+      return;
+    }
+
+    const multiplier = settings.accelerateSeeks ? nextSeekMultiplier(command, now, settings) : 1;
+    const seekSeconds = settings.seekStep * multiplier;
+    enqueueCommand(tabId, {
+      command: 'seek',
+      offset: command === 'fast-forward' ? seekSeconds : -seekSeconds
+    });
+  });
+});
+
+// Function to add a command to a tab's queue, merging consecutive seeks into one net offset
+function enqueueCommand(tabId, item) {
+  if (!commandQueues.has(tabId)) {
+    commandQueues.set(tabId, { items: [], running: false });
   }
 
-  // Record this command's timestamp
-  lastCommandTimestamp = now;
+  const queue = commandQueues.get(tabId);
+  const lastItem = queue.items[queue.items.length - 1];
+
+  if (item.command === 'seek' && lastItem && lastItem.command === 'seek') {
+    // Each press keeps its own accelerated step: three quick rewinds become a single
+    // 10s + 20s + 30s = 60s rewind with the default settings, 30s with acceleration off
+    lastItem.offset += item.offset;
 
-  // Additional protection for commands in process
-  if (isProcessingCommand) {
-    console.log('Command blocked - previous command still processing');
+    // Seeks that cancel each other out leave nothing to do
+    if (lastItem.offset === 0) {
+      queue.items.pop();
+    }
+  } else {
+    queue.items.push(item);
+  }
+
+  processCommandQueue(tabId);
+}
+
+// Function to run the next queued command for a tab once the previous one has finished
+function processCommandQueue(tabId) {
+  const queue = commandQueues.get(tabId);
+  if (!queue || queue.running) {
     return;
   }
 
-  // Clear any existing debounce timer
-  if (commandDebounceTimer) {
-    clearTimeout(commandDebounceTimer);
+  const item = queue.items.shift();
+  if (!item) {
+    commandQueues.delete(tabId);
+    return;
   }
 
-  // Set a debounce timer to prevent multiple rapid keypresses
-  commandDebounceTimer = setTimeout(() => {
-    commandDebounceTimer = null;
-  }, 500); // Increased from 300 to 500ms
+  queue.running = true;
 
-  isProcessingCommand = true;
+  // A merged seek is delivered as the command for its direction with the net number of seconds
+  let command = item.command;
+  const options = { commandId: `${Date.now()}-${++commandCounter}` };
+  if (item.command === 'seek') {
+    command = item.offset > 0 ? 'fast-forward' : 'rewind';
+    options.seekSeconds = Math.abs(item.offset);
+  }
 
-  // Get the active tab
-  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-    if (tabs.length > 0) {
-      const activeTab = tabs[0];
-
-      // First try to send a message to see if content script is already running
-      try {
-        chrome.tabs.sendMessage(
-          activeTab.id,
-          { action: 'ping' },
-          function (response) {
-            if (chrome.runtime.lastError || !response) {
-              injectContentScriptAndSendCommand(activeTab.id, command);
-            } else {
-              sendCommandToContentScript(activeTab.id, command);
-            }
-          }
-        );
-      } catch (error) {
-        injectContentScriptAndSendCommand(activeTab.id, command);
+  dispatchCommand(tabId, command, options).then(() => {
+    queue.running = false;
+    processCommandQueue(tabId);
+  });
+}
 
-        // Release the command processing lock after a delay
-        setTimeout(() => {
-          isProcessingCommand = false;
-        }, 500);
+// Function to deliver a command to the one frame that should handle it, injecting the content script if needed.
+// Resolves once the command has been handled (or has timed out) so the queue can continue.
+function dispatchCommand(tabId, command, options) {
+  const delivery = findTargetFrame(tabId)
+    .then((target) => {
+      if (!target) {
+        return executeCommandInPage(tabId, command, options);
+      }
+      return sendCommandToFrame(tabId, target.frameId, command, options);
+    })
+    .catch(error => {
+      console.error('Error dispatching command:', error);
+    });
+
+  const timeout = new Promise((resolve) => {
+    setTimeout(resolve, COMMAND_RESPONSE_TIMEOUT);
+  });
+
+  return Promise.race([delivery, timeout]);
+}
+
+// Function to find the frame of a tab that should receive commands, injecting the content script if needed.
+// Resolves with the elected frame's description, the top frame when no frame has a video (so it can
+// try its button and keyboard fallbacks), or null when the content script can't run in the tab at all.
+function findTargetFrame(tabId) {
+  return describeFrames(tabId)
+    .then((descriptions) => {
+      if (descriptions.length > 0) {
+        return descriptions;
       }
-    } else {
-      isProcessingCommand = false;
+
+      // No frame answered, so the content script isn't running in this tab yet
+      return injectContentScript(tabId).then(() => describeFrames(tabId));
+    })
+    .then((descriptions) => {
+      if (descriptions.length === 0) {
+        return null;
+      }
+
+      return electTargetFrame(descriptions) ||
+        descriptions.find(description => description.frameId === 0) ||
+        { frameId: 0, hasVideo: false };
+    });
+}
+
+// Function to ask every frame of a tab to describe its media, frames without the content script are left out
+function describeFrames(tabId) {
+  return chrome.webNavigation.getAllFrames({ tabId: tabId })
+    .then((frames) => Promise.all((frames || []).map(frame => describeFrame(tabId, frame.frameId))))
+    .then((descriptions) => descriptions.filter(Boolean));
+}
+
+// Function to ask a single frame to describe its media
+function describeFrame(tabId, frameId) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, { action: 'describeMedia' }, { frameId: frameId }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        resolve(null);
+        return;
+      }
+
+      resolve(Object.assign({ frameId: frameId }, response));
+    });
+  });
+}
+
+// Function to pick the frame that should receive a command. Only frames with a video
+// are candidates, and they are ranked by these rules in order:
+// 1. a playing video beats a paused one
+// 2. a visible video beats a hidden or scrolled away one
+// 3. a video the frame plays itself beats an embed it drives through postMessage, so
+//    an embed whose own frame runs the content script is controlled from inside
+// 4. the larger video wins
+// 5. the frame the user interacted with most recently wins
+// Remaining ties go to the frame closest to the top, so the choice is always the same.
+function electTargetFrame(descriptions) {
+  const candidates = descriptions.filter(description => description.hasVideo);
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  candidates.sort((a, b) => {
+    if (a.playing !== b.playing) {
+      return a.playing ? -1 : 1;
+    }
+    if (a.visible !== b.visible) {
+      return a.visible ? -1 : 1;
+    }
+    if (Boolean(a.embed) !== Boolean(b.embed)) {
+      return a.embed ? 1 : -1;
     }
+    if (a.area !== b.area) {
+      return b.area - a.area;
+    }
+    if (a.lastInteraction !== b.lastInteraction) {
+      return b.lastInteraction - a.lastInteraction;
+    }
+    return a.frameId - b.frameId;
   });
-});
 
-// Function to inject content script and then send command
-function injectContentScriptAndSendCommand(tabId, command) {
-  chrome.scripting.executeScript({
+  return candidates[0];
+}
+
+// Function to inject the content script into every frame of a tab
+function injectContentScript(tabId) {
+  return chrome.scripting.executeScript({
     target: { tabId: tabId, allFrames: true },
-    files: ['content.js']
+    files: CONTENT_SCRIPT_FILES
   })
-    .then(() => {
+    .then(() => settingsReady)
+    .then((settings) => new Promise((resolve) => {
       // Wait a moment to make sure the content script is fully loaded
-      setTimeout(() => {
-        sendCommandToContentScript(tabId, command);
-      }, 200); // Increased from 100 to 200 for more reliable loading
-    })
+      setTimeout(resolve, settings.injectionDelay);
+    }))
     .catch(error => {
+      console.log('Could not inject content script:', error.message);
+    });
+}
+
+// Function to run the command straight in the page when the content script can't be used
+function executeCommandInPage(tabId, command, options) {
+  return Promise.all([settingsReady, chrome.tabs.get(tabId)])
+    .then(([settings, tab]) => {
+      // Positional button guessing is only allowed on sites whose profile says so
+      const profile = tab.url ? findSiteProfile(settings, new URL(tab.url).hostname) : null;
+      const allowPositional = Boolean(profile && profile.allowPositional);
 
-      // Try a direct script injection as a fallback
-      chrome.scripting.executeScript({
+      return chrome.scripting.executeScript({
         target: { tabId: tabId },
         func: executeCommandDirectly,
-        args: [command, Date.now()] // Pass the timestamp to help detect duplicates
-      }).catch(err => {
-      }).finally(() => {
-        // Release the command processing lock with a longer delay
-        setTimeout(() => {
-          isProcessingCommand = false;
-        }, 500);
+        args: [command, options.commandId, options.seekSeconds || 0, allowPositional] // Pass the command id to help detect duplicates
       });
+    })
+    .catch(error => {
+      // Pages like the Chrome Web Store can't be scripted at all, the command can't run there
+      console.error(`Could not run ${command} in tab ${tabId}:`, error.message);
     });
 }
 
-// Function to send command to content script
-function sendCommandToContentScript(tabId, command) {
-  // Add command timestamp to allow content script to detect potential duplicates
-  chrome.tabs.sendMessage(
-    tabId,
-    {
-      action: 'controlVideo',
-      command: command,
-      timestamp: Date.now()
-    },
-    function (response) {
-      // Release the command processing lock after a delay
-      // Using a longer delay for better protection against rapid keypresses
-      setTimeout(() => {
-        isProcessingCommand = false;
-      }, 500);
-    }
-  );
+// Function to send command to the content script of a single frame
+function sendCommandToFrame(tabId, frameId, command, options) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(
+      tabId,
+      {
+        action: 'controlVideo',
+        command: command,
+        seekSeconds: options.seekSeconds
+      },
+      { frameId: frameId },
+      function (response) {
+        // Reading lastError keeps Chrome from logging an unchecked error when the frame doesn't answer
+        resolve(chrome.runtime.lastError ? null : response);
+      }
+    );
+  });
 }
 
+// Let the popup find the frame it should remote-control, using the same election as keyboard commands
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === 'findTargetFrame') {
+    findTargetFrame(message.tabId)
+      .then(sendResponse)
+      .catch(() => sendResponse(null));
+    return true;
+  }
+});
+
+// Forget the queue of a tab that was closed
+chrome.tabs.onRemoved.addListener((tabId) => {
+  commandQueues.delete(tabId);
+});
+
 // Function to be injected directly if content script fails
-function executeCommandDirectly(command, timestamp) {
+function executeCommandDirectly(command, commandId, seekSeconds, allowPositional) {
   // Track command execution to prevent duplicates
   const lastExecutionKey = 'jsmastery_last_command_execution';
 
-  // If we have a timestamp, check if this command was already executed
-  if (timestamp) {
-    const lastTimestamp = parseInt(localStorage.getItem(lastExecutionKey) || '0');
-    if (timestamp - lastTimestamp < 500) {
+  // If we have a command id, check if this command was already executed
+  if (commandId) {
+    if (localStorage.getItem(lastExecutionKey) === commandId) {
       console.log('Direct command blocked - duplicate detected');
       return true; // Pretend success to avoid fallbacks
     }
 
-    // Store this execution timestamp
-    localStorage.setItem(lastExecutionKey, timestamp.toString());
+    // Store this execution's command id
+    localStorage.setItem(lastExecutionKey, commandId);
+  }
+
+  // With a configured seek step, set the time directly instead of clicking the player's fixed 10s buttons
+  if (seekSeconds && (command === 'fast-forward' || command === 'rewind')) {
+    const seekVideo = document.querySelector('video');
+    if (seekVideo) {
+      const offset = command === 'fast-forward' ? seekSeconds : -seekSeconds;
+      const duration = isFinite(seekVideo.duration) ? seekVideo.duration : Infinity;
+      seekVideo.currentTime = Math.min(Math.max(seekVideo.currentTime + offset, 0), duration);
+      return true;
+    }
   }
 
-  // Try to detect the specific player pattern first (like seen in screenshot)
-  const controlGroups = document.querySelectorAll('[class*="controls"], [class*="Controls"], [class*="player"], [class*="Player"]');
+  // Try to detect the specific player pattern first (like seen in screenshot).
+  // Guessing buttons by position often clicks the wrong thing, so only where the site profile allows it.
+  const controlGroups = allowPositional
+    ? document.querySelectorAll('[class*="controls"], [class*="Controls"], [class*="player"], [class*="Player"]')
+    : [];
 
   for (const group of controlGroups) {
     const buttons = group.querySelectorAll('button');
@@ -305,6 +502,36 @@ function executeCommandDirectly(command, timestamp) {
           }));
         }, 50);
 
+        return true;
+      case 'speed-up':
+      case 'slow-down':
+      case 'reset-speed':
+        // Speed changes don't need any player buttons, set the rate directly
+        const speedSteps = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+        let targetRate = 1;
+
+        if (command === 'speed-up') {
+          targetRate = speedSteps.find(step => step > video.playbackRate + 0.01) || speedSteps[speedSteps.length - 1];
+        } else if (command === 'slow-down') {
+          targetRate = speedSteps.slice().reverse().find(step => step < video.playbackRate - 0.01) || speedSteps[0];
+        }
+
+        video.playbackRate = targetRate;
+        return true;
+      case 'volume-up':
+      case 'volume-down':
+        // Volume is set directly as well, without the audio boost
+        video.muted = false;
+        video.volume = Math.min(Math.max(video.volume + (command === 'volume-up' ? 0.1 : -0.1), 0), 1);
+        return true;
+      case 'toggle-mute':
+        video.muted = !video.muted;
+        return true;
+      case 'frame-forward':
+      case 'frame-back':
+        // Without the content script's measured frame rate, assume 30fps
+        video.pause();
+        video.currentTime = Math.max(video.currentTime + (command === 'frame-forward' ? 1 / 30 : -1 / 30), 0);
         return true;
       case 'play-pause':
         console.log("Executing play/pause directly");
@@ -0,0 +1,100 @@
+// Bookmarks store and timestamp links, shared by the content scripts and the popup.
+// Bookmarks live in chrome.storage.local under one key, grouped per lesson with the same
+// lesson keys as resume positions (see positions.js). Timestamp links ("#vc-t=754") open a
+// page at a time in any player. Needs time.js loaded first.
+
+// chrome.storage.local key holding { [lessonKey]: { url, title, bookmarks: [{ time, note, createdAt }] } }
+const BOOKMARKS_KEY = 'bookmarks';
+
+// Hash (or query) parameter holding the time (whole seconds) a timestamp link opens the video at
+const TIMESTAMP_HASH_PARAM = 'vc-t';
+
+// The URL with a time in its hash, replacing an earlier time. A hash the page uses itself is
+// kept: the time is added to a hash of key=value pairs, and any other hash, like a route
+// ("#/lesson/3") or an anchor, gets the time in the query instead.
+function addTimestampToUrl(url, seconds) {
+  const parsed = new URL(url);
+  const time = String(Math.floor(seconds));
+  const hashParts = parsed.hash.replace(/^#/, '').split('&')
+    .filter(part => part && !part.startsWith(`${TIMESTAMP_HASH_PARAM}=`));
+
+  parsed.searchParams.delete(TIMESTAMP_HASH_PARAM);
+  if (hashParts.every(part => /^[^=/!]+=/.test(part))) {
+    hashParts.push(`${TIMESTAMP_HASH_PARAM}=${time}`);
+    parsed.hash = hashParts.join('&');
+  } else {
+    parsed.hash = hashParts.join('&');
+    parsed.searchParams.set(TIMESTAMP_HASH_PARAM, time);
+  }
+  return parsed.toString();
+}
+
+// The time a timestamp link points at, null for any other URL
+function readTimestampFromUrl(url) {
+  const parsed = new URL(url);
+  const match = parsed.hash.match(new RegExp(`[#&]${TIMESTAMP_HASH_PARAM}=(\\d+)(?:&|$)`));
+  const time = match ? match[1] : parsed.searchParams.get(TIMESTAMP_HASH_PARAM);
+  return time && /^\d+$/.test(time) ? parseInt(time) : null;
+}
+
+// Load the bookmarks of every lesson
+function loadAllBookmarks() {
+  return chrome.storage.local.get(BOOKMARKS_KEY).then((stored) => stored[BOOKMARKS_KEY] || {});
+}
+
+// Load one lesson's bookmarks, null if it has none
+function loadLessonBookmarks(key) {
+  return loadAllBookmarks().then((lessons) => lessons[key] || null);
+}
+
+// Add a bookmark to a lesson, keeping the lesson's bookmarks in time order
+function addBookmark(key, lesson, bookmark) {
+  return loadAllBookmarks().then((lessons) => {
+    const saved = lessons[key] || { bookmarks: [] };
+
+    lessons[key] = {
+      url: lesson.url,
+      title: lesson.title,
+      bookmarks: saved.bookmarks
+        .concat({ time: bookmark.time, note: bookmark.note, createdAt: Date.now() })
+        .sort((a, b) => a.time - b.time)
+    };
+
+    return chrome.storage.local.set({ [BOOKMARKS_KEY]: lessons });
+  });
+}
+
+// Remove one bookmark from a lesson, and the lesson once it has none left
+function removeBookmark(key, createdAt) {
+  return loadAllBookmarks().then((lessons) => {
+    if (!lessons[key]) {
+      return;
+    }
+
+    lessons[key].bookmarks = lessons[key].bookmarks.filter(bookmark => bookmark.createdAt !== createdAt);
+    if (lessons[key].bookmarks.length === 0) {
+      delete lessons[key];
+    }
+
+    return chrome.storage.local.set({ [BOOKMARKS_KEY]: lessons });
+  });
+}
+
+// Turn lessons into Markdown study notes: a heading per lesson linking to it, then one
+// "[mm:ss](url#vc-t=...)" line per bookmark, linking to its time, followed by its note
+function bookmarksToMarkdown(lessons) {
+  const sections = lessons.map((lesson) => {
+    const lines = lesson.bookmarks.map((bookmark) => {
+      const link = `[${formatTime(bookmark.time)}](${addTimestampToUrl(lesson.url, bookmark.time)})`;
+      return bookmark.note ? `- ${link} ${bookmark.note}` : `- ${link}`;
+    });
+    return `## [${escapeMarkdown(lesson.title || lesson.url)}](${lesson.url})\n\n${lines.join('\n')}`;
+  });
+
+  return `# Video bookmarks\n\n${sections.join('\n\n')}\n`;
+}
+
+// Keep a page title from breaking the Markdown link around it
+function escapeMarkdown(text) {
+  return text.replace(/([\\[\]])/g, '\\$1');
+}
@@ -0,0 +1,62 @@
+// Audio boost.
+// Lets the volume go above 100% by routing a video's sound through a Web Audio gain node.
+// Once a video is routed through Web Audio it can't be taken back out, so a video is only
+// routed the first time it is actually boosted, and only when the sound will still play.
+
+// Gain node of every video that has been routed through Web Audio
+const audioBoosts = new WeakMap();
+
+// Check that routing a video through Web Audio won't silence it. Cross-origin media without
+// CORS comes out of Web Audio as silence, and an audio context started before the user
+// ever interacted with the page stays suspended, which would mute the video.
+function canBoostAudio(video) {
+  const source = video.currentSrc || video.src;
+  if (!source || !navigator.userActivation.hasBeenActive) {
+    return false;
+  }
+
+  try {
+    const url = new URL(source, location.href);
+    return url.origin === location.origin || url.protocol === 'data:' || video.crossOrigin !== null;
+  } catch (e) {
+    return false;
+  }
+}
+
+// The gain applied on top of the video's own volume, 1 when it isn't boosted
+function getBoostGain(video) {
+  const gainNode = audioBoosts.get(video);
+  return gainNode ? gainNode.gain.value : 1;
+}
+
+// Set the gain applied on top of the video's own volume, returns whether it could be applied
+function setBoostGain(video, gain) {
+  let gainNode = audioBoosts.get(video);
+
+  if (!gainNode) {
+    // Nothing to undo on a video that was never boosted
+    if (gain <= 1) {
+      return true;
+    }
+    if (!canBoostAudio(video)) {
+      return false;
+    }
+
+    const context = new AudioContext();
+    gainNode = context.createGain();
+    context.createMediaElementSource(video).connect(gainNode).connect(context.destination);
+    audioBoosts.set(video, gainNode);
+  }
+
+  if (gainNode.context.state === 'suspended') {
+    gainNode.context.resume();
+  }
+
+  gainNode.gain.value = gain;
+  return true;
+}
+
+// The video's loudness as a whole, where 1 is full volume without a boost
+function getVolumeLevel(video) {
+  return video.volume * getBoostGain(video);
+}
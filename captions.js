@@ -0,0 +1,102 @@
+// Caption style override.
+// When the override is on, the browser's and the player's own caption drawing is hidden
+// with a page stylesheet, and the cues of the caption track the player has active are drawn
+// by the overlay instead, in the size, background and position from the settings.
+// The track modes are left alone, so the caption commands and the player keep working as usual.
+
+// How often (ms) and how many times loadTrackCues looks for cues that haven't arrived yet
+const TRACK_CUE_RETRY_DELAY = 500;
+const TRACK_CUE_RETRIES = 10;
+
+// Caption drawing of the browser and the players the override replaces
+const NATIVE_CAPTION_CSS = `
+  video::cue { color: transparent !important; background: transparent !important; }
+  .plyr__captions, .vjs-text-track-display { visibility: hidden !important; }
+`;
+
+// The stylesheet hiding the native captions while the override runs
+let captionOverrideStyle = null;
+
+// The track whose cues are drawn, with its cue listener and the settings to draw them with, or null
+let styledCaption = null;
+
+// Point the override at the caption track the main video's player has active, or turn it off.
+// Called whenever the settings, the video or its caption tracks may have changed.
+function refreshCaptionOverride(settings) {
+  const player = findPlayer(findMainVideo());
+  const index = player && settings.captionOverride ? player.adapter.getCaptionTrack(player) : -1;
+  const track = index >= 0 ? captionTracks(player.video)[index] : null;
+
+  if (styledCaption && styledCaption.track !== track) {
+    styledCaption.track.removeEventListener('cuechange', styledCaption.onCueChange);
+    styledCaption = null;
+    hideCaptionText();
+  }
+
+  if (!track) {
+    if (captionOverrideStyle) {
+      captionOverrideStyle.remove();
+      captionOverrideStyle = null;
+    }
+    return;
+  }
+
+  if (!captionOverrideStyle) {
+    captionOverrideStyle = document.createElement('style');
+    captionOverrideStyle.textContent = NATIVE_CAPTION_CSS;
+    document.documentElement.appendChild(captionOverrideStyle);
+  }
+
+  if (!styledCaption) {
+    const onCueChange = () => drawActiveCues(player.video, track, styledCaption.settings);
+    track.addEventListener('cuechange', onCueChange);
+    styledCaption = { track: track, onCueChange: onCueChange };
+  }
+  styledCaption.settings = settings;
+
+  drawActiveCues(player.video, track, settings);
+}
+
+// Draw the cues of a track that are showing right now, without the WebVTT markup
+function drawActiveCues(video, track, settings) {
+  const text = Array.from(track.activeCues || [])
+    .map(cue => cue.getCueAsHTML().textContent.trim())
+    .filter(Boolean)
+    .join('\n');
+
+  showCaptionText(video, text, {
+    size: settings.captionSize,
+    background: settings.captionBackground,
+    position: settings.captionPosition
+  });
+}
+
+// Resolve with a text track's cues, [] if none arrive. A disabled track never loads its cues,
+// so it is hidden (loaded without showing anything) until they are in, then disabled again:
+// players like Plyr take a hidden caption track for the one they draw.
+function loadTrackCues(track) {
+  const wasDisabled = track.mode === 'disabled';
+  if (wasDisabled) {
+    track.mode = 'hidden';
+  }
+
+  return new Promise((resolve) => {
+    let attempt = 0;
+
+    const poll = () => {
+      const cues = Array.from(track.cues || []);
+      if (cues.length === 0 && attempt++ < TRACK_CUE_RETRIES) {
+        setTimeout(poll, TRACK_CUE_RETRY_DELAY);
+        return;
+      }
+
+      // Unless the player switched the track on in the meantime
+      if (wasDisabled && track.mode === 'hidden') {
+        track.mode = 'disabled';
+      }
+      resolve(cues);
+    };
+
+    poll();
+  });
+}
@@ -0,0 +1,93 @@
+// Chapter detection.
+// Chapters come from the first source that has any: the video's chapter text tracks,
+// the markers Plyr draws on its progress bar, or the chapter list the site profile points at.
+// Each chapter is { start (seconds), title }, sorted by start.
+
+// Data attributes a site's chapter list may keep a chapter's start time in
+const CHAPTER_TIME_ATTRIBUTES = ['data-time', 'data-start', 'data-seconds', 'data-timestamp'];
+
+// Cues of the chapter tracks that were loaded while disabled, by track
+const loadedChapterCues = new WeakMap();
+
+// Find the chapters of a player's video, an empty list when it has none
+function findChapters(player) {
+  for (const source of [chaptersFromTextTracks, chaptersFromPlyrMarkers, chaptersFromSiteProfile]) {
+    const chapters = source(player);
+    if (chapters.length > 0) {
+      return chapters.sort((a, b) => a.start - b.start);
+    }
+  }
+  return [];
+}
+
+// Chapters from the video's first chapter text track that has cues
+function chaptersFromTextTracks(player) {
+  for (const track of Array.from(player.video.textTracks)) {
+    if (track.kind !== 'chapters') {
+      continue;
+    }
+
+    // A disabled track has to load its cues first, the next lookup finds them
+    if (track.mode === 'disabled' && !loadedChapterCues.has(track)) {
+      loadedChapterCues.set(track, []);
+      loadTrackCues(track).then(cues => loadedChapterCues.set(track, cues));
+    }
+
+    const cues = track.mode === 'disabled' ? loadedChapterCues.get(track) : Array.from(track.cues || []);
+    const chapters = cues.map(cue => ({ start: cue.startTime, title: cue.text.trim() }));
+    if (chapters.length > 0) {
+      return chapters;
+    }
+  }
+  return [];
+}
+
+// Chapters from Plyr's progress bar markers. Plyr only shows a marker's label in a tooltip,
+// so the markers are numbered, their times come from where they sit on the bar.
+function chaptersFromPlyrMarkers(player) {
+  const duration = player.video.duration;
+  if (player.adapter.name !== 'plyr' || !isFinite(duration)) {
+    return [];
+  }
+
+  return Array.from(player.root.querySelectorAll('.plyr__progress__marker'))
+    .map((marker, index) => {
+      const percent = parseFloat(marker.style.left);
+      return isFinite(percent) ? { start: duration * percent / 100, title: `Marker ${index + 1}` } : null;
+    })
+    .filter(Boolean);
+}
+
+// Chapters from the page's own chapter list, one element per chapter, when the site profile sets a selector for it
+function chaptersFromSiteProfile(player) {
+  const profile = activeSiteProfile();
+  if (!profile || !profile.selectors.chapters) {
+    return [];
+  }
+
+  return Array.from(queryProfileSelector(profile.selectors.chapters, true))
+    .map(element => readChapterElement(element, player.video.duration))
+    .filter(Boolean);
+}
+
+// Read a chapter from a list element: its start from a data attribute or the first timestamp
+// in its text ("12:34", "1:02:03"), its title from the rest of the text
+function readChapterElement(element, duration) {
+  const text = element.textContent.replace(/\s+/g, ' ').trim();
+
+  for (const attribute of CHAPTER_TIME_ATTRIBUTES) {
+    const value = element.getAttribute(attribute);
+    const start = value ? parseTimeInput(value, duration) : null;
+    if (start !== null) {
+      return { start: start, title: text || `Chapter at ${formatTime(start)}` };
+    }
+  }
+
+  const match = text.match(/\b\d{1,2}(?::\d{2}){1,2}\b/);
+  if (!match) {
+    return null;
+  }
+
+  const title = text.replace(match[0], '').replace(/^[\s\-–—:|·]+|[\s\-–—:|·]+$/g, '');
+  return { start: parseTimeInput(match[0], duration), title: title || `Chapter at ${match[0]}` };
+}
@@ -1,44 +1,161 @@
 // This script runs directly in the context of the web page
 
-// Keep track of whether we're in the main script instance
-let isMainScriptInstance = true;
+// When the user last clicked or typed in this frame, used by the background script to pick a frame
+let lastInteractionTimestamp = 0;
 
-// Use a command processing lock to prevent multiple instances from processing the same command
-let isProcessingCommand = false;
+['pointerdown', 'keydown'].forEach(eventType => {
+  window.addEventListener(eventType, () => {
+    lastInteractionTimestamp = Date.now();
+  }, true);
+});
 
-// Global command lock using localStorage
-const COMMAND_LOCK_KEY = 'jsmastery_videocontrol_command_lock';
-const COMMAND_LOCK_EXPIRY = 'jsmastery_videocontrol_lock_expiry';
-const LAST_COMMAND_TIMESTAMP = 'jsmastery_videocontrol_last_timestamp';
+// Seek used when a command doesn't say how far to go, the same fixed step most players use
+const DEFAULT_SEEK_SECONDS = 10;
 
-// Function to acquire a command lock
-function acquireCommandLock() {
-  // Check if lock exists and is still valid
-  const currentLock = localStorage.getItem(COMMAND_LOCK_KEY);
-  const expiryTime = localStorage.getItem(COMMAND_LOCK_EXPIRY);
+// Settings from the shared store (strategy order, verify timeout), defaults until they load
+let currentSettings = normalizeSettings({});
 
-  if (currentLock && expiryTime && parseInt(expiryTime) > Date.now()) {
-    // Lock exists and is still valid
-    return false;
+loadSettings().then((settings) => {
+  currentSettings = settings;
+  refreshCaptionOverride(settings);
+});
+
+onSettingsChanged((settings) => {
+  currentSettings = settings;
+  refreshCaptionOverride(settings);
+  if (!settings.mediaKeys) {
+    releaseMediaSession();
   }
+});
 
-  // Set a new lock
-  const lockId = Date.now().toString() + Math.random().toString().substr(2, 8);
-  localStorage.setItem(COMMAND_LOCK_KEY, lockId);
-  localStorage.setItem(COMMAND_LOCK_EXPIRY, Date.now() + 1000); // 1 second expiry
+// How far (seconds) a playing video may have moved on by the time a seek at its start or end is checked
+const SEEK_BOUNDARY_DRIFT = 0.5;
 
-  // Verify we got the lock (in case of race conditions)
-  return localStorage.getItem(COMMAND_LOCK_KEY) === lockId;
+// Function to find the site profile for this frame's page, if the user set one up
+function activeSiteProfile() {
+  return findSiteProfile(currentSettings, location.hostname);
 }
 
-// Function to release the command lock
-function releaseCommandLock() {
-  localStorage.removeItem(COMMAND_LOCK_KEY);
-  localStorage.removeItem(COMMAND_LOCK_EXPIRY);
+// Function to query a selector from a site profile, which may be invalid CSS
+function queryProfileSelector(selector, all) {
+  try {
+    return all ? deepQuerySelectorAll(selector) : deepQuerySelector(selector);
+  } catch (e) {
+    console.error(`Invalid selector in site profile: ${selector}`);
+    return all ? [] : null;
+  }
 }
 
-// Store direct reference to video element when found
-let cachedVideoElement = null;
+// Each strategy returns whether it acted at all, the engine checks whether it worked
+const CONTROL_STRATEGIES = {
+  // Drive the player through its adapter
+  adapter: (command, player, seekSeconds) => {
+    return player ? runPlayerCommand(player, command, seekSeconds) : false;
+  },
+
+  // Click the player's own control button. Guessing a button from its position in the
+  // control bar is only done on sites whose profile allows it.
+  buttons: (command) => {
+    const profile = activeSiteProfile();
+    const button =
+      findExactButton(command) ||
+      findPatternButton(command) ||
+      (profile && profile.allowPositional ? findPositionalButton(command) : null);
+    return button ? tryButtonClick(button) : false;
+  },
+
+  // Simulate the player's keyboard shortcuts
+  keyboard: (command) => {
+    return tryKeyboardMethod(command);
+  }
+};
+
+// Commands the extension carries out itself instead of asking the player, so they skip the
+// strategies. Each returns the text for the on-screen display, or null when it shows its own input.
+const DIRECT_COMMANDS = {
+  'go-to-time': promptGoToTime,
+  'set-loop-a': setLoopStart,
+  'set-loop-b': setLoopEnd,
+  'clear-loop': clearLoop,
+  'bookmark': promptBookmark,
+  'copy-timestamp-link': copyTimestampLink,
+  'next-chapter': (player) => goToChapter(player, 1),
+  'prev-chapter': (player) => goToChapter(player, -1),
+  'toggle-captions': toggleCaptions,
+  'cycle-caption-language': cycleCaptionLanguage,
+  'toggle-transcript': toggleTranscriptPanel
+};
+
+// Speeds the speed-up and slow-down commands step through
+const SPEED_STEPS = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+
+// chrome.storage.local key holding the last speed used on each site
+const SITE_SPEEDS_KEY = 'siteSpeeds';
+
+// Videos whose current source already had the remembered speed applied, reset for every lesson
+let restoredSpeedSources = new WeakMap();
+
+// The A-B loop: where it starts, where it ends (null while only A is marked), the player it
+// runs on, how many more times it replays and the timer of a pause between replays. Null when off.
+let abLoop = null;
+
+// How often (ms) the main video's position is saved while it plays
+const RESUME_SAVE_INTERVAL = 5000;
+
+// Positions this close to the start (seconds) aren't worth resuming, this close to the end the lesson is done
+const RESUME_MIN_POSITION = 5;
+const RESUME_END_MARGIN = 10;
+
+// How long (ms) the offer to resume stays on screen
+const RESUME_OFFER_DURATION = 10000;
+
+// When the main video's position was last saved
+let lastPositionSave = 0;
+
+// Videos whose current source was already checked for a saved position, reset for every lesson
+let resumeCheckedSources = new WeakMap();
+
+// How long (ms) after first seeking to a timestamp link's time the video is kept there.
+// Players like Plyr can put the time back to 0 while they finish setting up.
+const LINKED_TIME_WINDOW = 5000;
+
+// The time the page's "#vc-t=754" link points at, until the video has been taken there
+let linkedTime = readTimestampFromUrl(location.href);
+let linkedTimeFirstSeek = 0;
+
+// The query the link's time was last read with. Hash routers keep the query while moving to
+// other lessons, so a time still in the same query belongs to the lesson the link opened.
+let linkedTimeQuery = location.search;
+
+// Media Session actions the extension handles for the main video
+const MEDIA_SESSION_ACTIONS = ['play', 'pause', 'seekbackward', 'seekforward', 'seekto', 'previoustrack', 'nexttrack'];
+
+// The video the extension registered Media Session handlers for, null while it doesn't own the session
+let mediaSessionVideo = null;
+
+// Event fired on window when the page moves to another lesson without a page load
+const LESSON_CHANGED_EVENT = 'vc-lessonchange';
+
+// The lesson this frame shows: its page URL without tracking parameters, see normalizeLessonUrl()
+let currentLessonUrl = normalizeLessonUrl(location.href);
+
+// Seconds into a chapter after which previous chapter goes back to the start of the current one
+const CHAPTER_RESTART_THRESHOLD = 3;
+
+// Videos whose caption tracks are watched for the caption style override
+const captionWatchedVideos = new WeakSet();
+
+// Frame rate assumed for frame stepping until a video's own rate has been measured
+const FALLBACK_FRAME_RATE = 30;
+
+// Consecutive frames measured before a video's frame rate is trusted
+const FRAME_RATE_SAMPLES = 30;
+
+// Measured frame duration (seconds) of each video, with the source it was measured on
+const measuredFrameDurations = new WeakMap();
+
+// Videos whose frame rate is being measured right now
+const measuringFrameRates = new WeakSet();
 
 // Function to prevent default actions once
 function preventDefaultOnce(e) {
@@ -49,1153 +166,1471 @@ function preventDefaultOnce(e) {
 
 // Listen for messages from the background script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  // Respond to ping to confirm content script is running
-  if (message.action === 'ping') {
-    sendResponse({ success: true });
+  // Describe this frame's media so the background script can pick the one frame to control
+  if (message.action === 'describeMedia') {
+    sendResponse(describeMedia());
     return true;
   }
 
   if (message.action === 'controlVideo') {
-    // If another instance is already processing a command, ignore this one
-    if (isProcessingCommand) {
-      sendResponse({ success: false, reason: 'duplicate-instance' });
-      return true;
-    }
-
-    // Check for duplicate commands using timestamp
-    if (message.timestamp) {
-      const lastTimestamp = parseInt(localStorage.getItem(LAST_COMMAND_TIMESTAMP) || '0');
-      if (message.timestamp - lastTimestamp < 500) {
-        sendResponse({ success: false, reason: 'duplicate-timestamp' });
-        return true;
-      }
-
-      // Store this command's timestamp
-      localStorage.setItem(LAST_COMMAND_TIMESTAMP, message.timestamp.toString());
-    }
-
-    // Try to acquire the global command lock
-    if (!acquireCommandLock()) {
-      sendResponse({ success: false, reason: 'locked' });
-      return true;
-    }
-
     try {
-      // Set processing lock to prevent multiple instances from handling the same command
-      isProcessingCommand = true;
-
       const command = message.command;
 
-      // Prevent any default actions from the website when our commands run
-      const preventHandler = (e) => preventDefaultOnce(e);
+      // Prevent any default actions from the website when our commands run.
+      // Only real keypresses are blocked, the keyboard strategy's synthetic keys must get through.
+      const preventHandler = (e) => {
+        if (e.isTrusted) {
+          preventDefaultOnce(e);
+        }
+      };
       document.addEventListener('keydown', preventHandler, true);
       document.addEventListener('keyup', preventHandler, true);
 
-      // For play-pause, try multiple approaches immediately
-      if (command === 'play-pause') {
-
-        // Try multiple approaches for play/pause
-        const videos = document.querySelectorAll('video');
-        let success = false;
-
-        // First try direct video control (most reliable)
-        if (videos.length > 0) {
-          let video = videos[0];
-
-          // Try to find the most active video
-          for (const v of videos) {
-            if (!v.paused) {
-              video = v;
-              break;
-            }
-          }
-
-          if (video.paused) {
-            try {
-              const playPromise = video.play();
-              if (playPromise !== undefined) {
-                playPromise.then(() => {
-                  success = true;
-                }).catch(error => {
-                  console.error('Error playing video:', error);
-                });
-              }
-            } catch (e) {
-              console.error("Error during play:", e);
-            }
-          } else {
-            try {
-              video.pause();
-              success = true;
-            } catch (e) {
-              console.error("Error during pause:", e);
-            }
-          }
-        }
-
-        // Also try clicking buttons (can't hurt to try both approaches)
-        const exactButton = findExactButton(command);
-        if (exactButton) {
-          tryButtonClick(exactButton);
-          success = true;
-        }
-
-        // As a fallback, try a spacebar press
-        if (!success) {
-          document.dispatchEvent(new KeyboardEvent('keydown', {
-            key: ' ',
-            code: 'Space',
-            keyCode: 32,
-            which: 32,
-            bubbles: true,
-            cancelable: true
-          }));
-
-          setTimeout(() => {
-            document.dispatchEvent(new KeyboardEvent('keyup', {
-              key: ' ',
-              code: 'Space',
-              keyCode: 32,
-              which: 32,
-              bubbles: true,
-              cancelable: true
-            }));
-          }, 50);
-        }
-
-        // Clean up and respond
-        setTimeout(() => {
-          document.removeEventListener('keydown', preventHandler, true);
-          document.removeEventListener('keyup', preventHandler, true);
-        }, 200);
-
-        // Release locks and respond
-        isProcessingCommand = false;
-        releaseCommandLock();
-        sendResponse({ success: true });
-        return true;
-      }
-
-      // For other commands, or if play-pause button not found, use regular flow
-      const success = performVideoControl(command);
-
       // Clean up event listeners after a short delay
       setTimeout(() => {
         document.removeEventListener('keydown', preventHandler, true);
         document.removeEventListener('keyup', preventHandler, true);
       }, 200);
 
-      // Release the processing lock
-      isProcessingCommand = false;
-
-      // Release global lock
-      releaseCommandLock();
-
-      sendResponse({ success: success });
-
-      // If this instance failed but got a response, mark as secondary
-      if (!success) {
-        isMainScriptInstance = false;
-      }
+      // Respond once a strategy has verifiably worked, or all of them have failed
+      performVideoControl(command, message.seekSeconds)
+        .catch((error) => {
+          console.error('Error processing command:', error);
+          return { success: false, error: error.message };
+        })
+        .then(sendResponse);
     } catch (error) {
       console.error('Error processing command:', error);
-      isProcessingCommand = false;
-      releaseCommandLock();
       sendResponse({ success: false, error: error.message });
     }
   }
   return true; // Keep the message channel open for asynchronous response
 });
 
-// Function to control video based on commands
-function performVideoControl(command) {
-  // First try the direct button approach (most reliable for Plyr)
-  const exactButton = findExactButton(command);
-  if (exactButton) {
-    const clickResult = tryButtonClick(exactButton);
-    if (clickResult) {
-      return true; // Exit immediately on success
-    }
+// Media events that change what the popup remote shows
+const REMOTE_STATE_EVENTS = ['timeupdate', 'play', 'pause', 'seeked', 'ratechange', 'volumechange', 'durationchange', 'loadedmetadata', 'emptied'];
+
+// The popup connects straight to the elected frame to remote-control its video
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === 'remote') {
+    connectRemote(port);
   }
+});
 
-  // If direct button approach fails, continue with pattern matching
-  const playerPatterns = trySpecificPlayerPatterns();
-  if (playerPatterns.length > 0) {
-    for (const pattern of playerPatterns) {
-      let foundButton = null;
-      for (const btn of pattern.buttons) {
-        const btnDataPlyr = btn.getAttribute('data-plyr');
-        const ariaLabel = (btn.getAttribute('aria-label') || "").toLowerCase();
-        const title = (btn.getAttribute('title') || "").toLowerCase();
-        const innerText = (btn.textContent || "").toLowerCase();
-
-        // Get SVG use href from button - check both href and xlink:href
-        let svgUseHref = "";
-        const svgUse = btn.querySelector('svg use');
-        if (svgUse) {
-          // Check both href and xlink:href (some players use one, some use the other)
-          svgUseHref = (svgUse.getAttribute('xlink:href') || svgUse.getAttribute('href') || "").toLowerCase();
-        }
+// Function to stream live playback state to the popup and run the popup's controls
+function connectRemote(port) {
+  const sendState = () => {
+    const player = findPlayer(findMainVideo());
+    const embed = player ? null : findMainEmbed();
+    port.postMessage({
+      type: 'state',
+      hostname: location.hostname,
+      state: player ? player.adapter.getState(player) : (embed && embed.ready ? getEmbedState(embed) : null),
+      loop: abLoop && abLoop.end !== null ? { start: abLoop.start, end: abLoop.end } : null,
+      // Which lesson's bookmarks the popup lists
+      lesson: player && isFinite(player.video.duration) ? lessonKey(location.href, player.video) : null,
+      chapters: player ? findChapters(player) : []
+    });
+  };
 
-        // Check for buttons we NEVER want to click (notification, search, etc.)
-        if (
-          innerText.includes("next lesson") ||
-          innerText.includes("check answer") ||
-          ariaLabel.includes("next lesson") ||
-          innerText.includes("search") ||
-          ariaLabel.includes("notification") ||
-          (btn.querySelector('svg path') && !svgUseHref) // Skip buttons with SVG paths but no href 
-        ) {
+  // Media events don't bubble, the capture phase sees them for every video in the frame
+  const onMediaEvent = (event) => {
+    if (event.target instanceof HTMLVideoElement) {
+      sendState();
+    }
+  };
+
+  REMOTE_STATE_EVENTS.forEach(eventType => {
+    document.addEventListener(eventType, onMediaEvent, true);
+  });
+  embedStateListeners.add(sendState);
+  // A new lesson has its own bookmarks and chapters
+  window.addEventListener(LESSON_CHANGED_EVENT, sendState);
+
+  port.onMessage.addListener((message) => {
+    const player = findPlayer(findMainVideo());
+    const embed = player ? null : findMainEmbed();
+
+    if (message.action === 'command') {
+      // Buttons in the popup run through the same engine as the keyboard shortcuts
+      performVideoControl(message.command, message.seekSeconds).then(sendState);
+    } else if (message.action === 'seekTo') {
+      seekMainVideoTo(message.time);
+    } else if (message.action === 'setVolume' && player) {
+      player.adapter.setVolume(player, message.volume);
+    } else if (message.action === 'setVolume' && embed) {
+      embed.provider.setVolume(embed, message.volume);
+    } else if (message.action === 'startPicker') {
+      // Teach mode keeps running after the popup closes
+      startButtonPicker(message.command);
+    }
+  });
 
-          continue; // Skip this button entirely
-        }
+  port.onDisconnect.addListener(() => {
+    REMOTE_STATE_EVENTS.forEach(eventType => {
+      document.removeEventListener(eventType, onMediaEvent, true);
+    });
+    embedStateListeners.delete(sendState);
+    window.removeEventListener(LESSON_CHANGED_EVENT, sendState);
+  });
 
-        let isMatch = false;
-        if (command === 'play-pause') {
-          if (
-            btnDataPlyr === 'play' ||
-            ariaLabel.includes('play') || ariaLabel.includes('pause') ||
-            title.includes('play') || title.includes('pause') ||
-            innerText.includes('play') || innerText.includes('pause') ||
-            svgUseHref.includes('plyr-play') || svgUseHref.includes('plyr-pause')
-          ) {
-            isMatch = true;
-          }
-        } else if (command === 'rewind') {
-          if (
-            btnDataPlyr === 'rewind' ||
-            ariaLabel.includes('rewind') ||
-            title.includes('rewind') ||
-            innerText.includes('rewind') ||
-            svgUseHref.includes('plyr-rewind')
-          ) {
-            isMatch = true;
-          }
-        } else if (command === 'fast-forward') {
-          // Be EXTREMELY precise for fast-forward to avoid clicking the wrong button
-          if (
-            btnDataPlyr === 'fast-forward' ||
-            ariaLabel === 'forward 10s' ||
-            title === 'forward 10s' ||
-            svgUseHref.includes('plyr-fast-forward') ||
-            // Check if inner span contains EXACTLY "Forward 10s"
-            (btn.querySelector('.plyr__sr-only') &&
-              btn.querySelector('.plyr__sr-only').textContent.trim() === 'Forward 10s')
-          ) {
-            isMatch = true;
-          }
+  sendState();
+}
 
-          // Ensure we're NOT matching a rewind button
-          if (
-            btnDataPlyr === 'rewind' ||
-            ariaLabel.includes('rewind') ||
-            title.includes('rewind') ||
-            innerText.includes('rewind') ||
-            svgUseHref.includes('plyr-rewind')
-          ) {
+// Function to describe the main video of this frame for target frame election
+function describeMedia() {
+  const video = findMainVideo();
 
-            isMatch = false;
-          }
-        }
+  // Videos inside same-origin iframes are described by those frames themselves
+  if (!video || video.ownerDocument !== document) {
+    // An embed this frame can drive counts as its video
+    const embed = video ? null : findMainEmbed();
+    if (embed) {
+      return Object.assign(describeMediaElement(embed.iframe, !embed.state.paused), { embed: true });
+    }
+    return { hasVideo: false, lastInteraction: lastInteractionTimestamp };
+  }
 
+  return describeMediaElement(video, !video.paused && !video.ended);
+}
 
-        if (isMatch) {
-          foundButton = btn;
-          break;
-        }
-      }
+// Function to describe where a video (or an embed's iframe) sits for target frame election
+function describeMediaElement(element, playing) {
+  const rect = element.getBoundingClientRect();
+  const visibleWidth = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+  const visibleHeight = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+
+  return {
+    hasVideo: true,
+    playing: playing,
+    visible: document.visibilityState === 'visible' && visibleWidth > 0 && visibleHeight > 0,
+    area: Math.round(rect.width * rect.height),
+    lastInteraction: lastInteractionTimestamp
+  };
+}
 
-      if (foundButton) {
-        try {
-          // Use our new tryButtonClick method for more reliable clicking
-          const success = tryButtonClick(foundButton);
-          if (success) {
-            return true; // Exit immediately on success
-          }
-        } catch (e) {
-          console.error('Error with specific pattern approach:', e);
-        }
-      }
-    }
-  }
+// Function to control video based on commands. Strategies are tried in order and the
+// engine only moves on when the video shows no sign of the command having worked.
+// Resolves with the response for the background script, including the strategy that worked.
+function performVideoControl(command, seekSeconds) {
+  const player = findPlayer(findMainVideo());
 
-  // Try direct HTML5 approach next
-  const html5Result = tryHTML5VideoMethod(command);
-  if (html5Result) {
+  // Without a video of its own, the frame may still drive a YouTube or Vimeo embed
+  const embed = player ? null : findMainEmbed();
+  if (embed) {
+    return performEmbedControl(embed, command, seekSeconds);
+  }
 
-    return true;
+  if (DIRECT_COMMANDS[command]) {
+    const text = player ? DIRECT_COMMANDS[command](player) : 'No video found';
+    if (text && currentSettings.showOverlay) {
+      showOverlay(player && player.video, text);
+    }
+    return Promise.resolve(player ? { success: true, strategy: 'direct', verified: false } : { success: false });
   }
 
-  // Final fallbacks if nothing else worked
-  if (command === 'rewind') {
-    const rewindResult = tryRewindFallback();
-    if (rewindResult) {
+  const startTime = player ? player.video.currentTime : null;
 
-      return true;
+  return runStrategies(strategyOrderFor(command), command, player, seekSeconds).then((result) => {
+    if (currentSettings.showOverlay) {
+      // The volume shown includes the audio boost, volume-up says when the boost can't be used
+      const state = player ? Object.assign(player.adapter.getState(player), {
+        volume: getVolumeLevel(player.video),
+        boostUnavailable: isBoostUnavailable(player.video)
+      }) : null;
+      showOverlay(player && player.video, describeCommandResult(command, state, result, startTime));
     }
-  } else if (command === 'play-pause') {
-    const playPauseResult = tryPlayPauseFallback();
-    if (playPauseResult) {
+    return result;
+  });
+}
+
+// Commands an embedded player can carry out through its postMessage protocol
+const EMBED_COMMANDS = ['play-pause', 'rewind', 'fast-forward', 'speed-up', 'slow-down', 'reset-speed', 'volume-up', 'volume-down', 'toggle-mute'];
+
+// Function to seek the video commands go to, or the embed when the frame has no video of its own
+function seekMainVideoTo(time) {
+  const player = findPlayer(findMainVideo());
+  const embed = player ? null : findMainEmbed();
 
-      return true;
+  if (player) {
+    player.adapter.seekTo(player, time);
+  } else if (embed) {
+    embed.provider.seekTo(embed, time);
+  }
+}
+
+// Function to run a command on a YouTube or Vimeo embed, verified against the state the player reports back
+function performEmbedControl(embed, command, seekSeconds) {
+  if (!EMBED_COMMANDS.includes(command)) {
+    if (currentSettings.showOverlay) {
+      showOverlay(embed.iframe, `${COMMAND_LABELS[command] || command} isn't available for ${embed.provider.label}s`);
     }
-  } else if (command === 'fast-forward') {
-    const fastForwardResult = tryFastForwardSafely();
-    if (fastForwardResult) {
+    return Promise.resolve({ success: false });
+  }
+
+  // Where the embed was when the command ran, for the overlay. Its state is only a
+  // placeholder until the player is ready, so this is read once it is.
+  let startTime = null;
+
+  return whenEmbedReady(embed)
+    .then((ready) => {
+      if (!ready) {
+        return { success: false };
+      }
+
+      const before = Object.assign({}, embed.state);
+      startTime = before.currentTime;
+      runEmbedCommand(embed, command, seekSeconds);
+
+      return waitForOutcome(() => commandTookEffect(command, before, embed.state, seekSeconds))
+        .then(worked => ({ success: worked, strategy: 'embed', verified: worked }));
+    })
+    .then((result) => {
+      if (currentSettings.showOverlay) {
+        showOverlay(embed.iframe, describeCommandResult(command, getEmbedState(embed), result, startTime));
+      }
+      return result;
+    });
+}
 
-      return true;
+// Function to send a command to an embed, the embed counterpart of runPlayerCommand
+function runEmbedCommand(embed, command, seekSeconds) {
+  const { provider, state } = embed;
+  const step = seekSeconds || DEFAULT_SEEK_SECONDS;
+
+  switch (command) {
+    case 'play-pause':
+      return state.paused ? provider.play(embed) : provider.pause(embed);
+    case 'rewind':
+      return provider.seekTo(embed, Math.max(state.currentTime - step, 0));
+    case 'fast-forward':
+      return provider.seekTo(embed, state.duration ? Math.min(state.currentTime + step, state.duration) : state.currentTime + step);
+    case 'speed-up':
+    case 'slow-down':
+    case 'reset-speed':
+      return provider.setRate(embed, nextPlaybackRate(state.playbackRate, command));
+    case 'volume-up':
+    case 'volume-down': {
+      // Embeds can't be boosted, their volume stops at full
+      const change = (command === 'volume-up' ? 1 : -1) * currentSettings.volumeStep / 100;
+      if (state.muted) {
+        provider.setMuted(embed, false);
+      }
+      return provider.setVolume(embed, Math.round(Math.min(Math.max(state.volume + change, 0), 1) * 100) / 100);
     }
+    case 'toggle-mute':
+      return provider.setMuted(embed, !state.muted);
   }
+}
 
-  // If all else fails, try keyboard events as a last resort
-  const keyboardResult = tryKeyboardMethod(command);
-  if (keyboardResult) {
+// Names used on the on-screen display when a command has no better description
+const COMMAND_LABELS = {
+  'play-pause': 'Play/Pause',
+  'rewind': 'Rewind',
+  'fast-forward': 'Forward',
+  'speed-up': 'Speed up',
+  'slow-down': 'Slow down',
+  'reset-speed': 'Normal speed',
+  'volume-up': 'Volume up',
+  'volume-down': 'Volume down',
+  'toggle-mute': 'Mute',
+  'frame-forward': 'Next frame',
+  'frame-back': 'Previous frame',
+  'go-to-time': 'Go to time',
+  'set-loop-a': 'Loop start',
+  'set-loop-b': 'Loop end',
+  'clear-loop': 'Clear loop',
+  'bookmark': 'Bookmark',
+  'copy-timestamp-link': 'Copy link to this time',
+  'next-chapter': 'Next chapter',
+  'prev-chapter': 'Previous chapter',
+  'toggle-captions': 'Captions',
+  'cycle-caption-language': 'Caption language',
+  'toggle-transcript': 'Transcript'
+};
+
+// Function to describe what a command did, for the on-screen display, from the state of the
+// player afterwards (null when there is no video) and its time before the command. Seeks show
+// how far the video really moved, which is less than a step near its start or end.
+function describeCommandResult(command, state, result, startTime) {
+  if (!state) {
+    return result.success ? COMMAND_LABELS[command] || command : 'No video found';
+  }
+  if (command === 'volume-up' && state.boostUnavailable) {
+    return 'Volume 100%, boost isn\'t available for this video';
+  }
+  if (!result.success) {
+    return `${COMMAND_LABELS[command] || command} didn't work`;
+  }
 
-    return true;
+  switch (command) {
+    case 'play-pause':
+      return state.paused ? 'Paused' : 'Playing';
+    case 'rewind':
+    case 'fast-forward': {
+      const moved = state.currentTime - startTime;
+      return `${moved < 0 ? '-' : '+'}${Math.round(Math.abs(moved))}s → ${formatTime(state.currentTime)}`;
+    }
+    case 'speed-up':
+    case 'slow-down':
+    case 'reset-speed':
+      return `${state.playbackRate}x`;
+    case 'volume-up':
+    case 'volume-down':
+      return `Volume ${Math.round(state.volume * 100)}%`;
+    case 'toggle-mute':
+      return state.muted ? 'Muted' : 'Unmuted';
+    case 'frame-forward':
+    case 'frame-back':
+      return `${command === 'frame-forward' ? 'Next' : 'Previous'} frame → ${formatTime(state.currentTime)}` +
+        `.${String(Math.floor((state.currentTime % 1) * 1000)).padStart(3, '0')}`;
   }
 
-  console.error('Failed to control video with command:', command);
-  return false;
+  return COMMAND_LABELS[command] || command;
 }
 
-// Method for directly controlling HTML5 video elements
-function tryHTML5VideoMethod(command) {
-  try {
-    // First check if we already have a cached video element
-    if (!cachedVideoElement) {
+// Function to pick the strategies for a command. A site profile can allow only some strategies,
+// in its own order, and a button the user picked for the command on this site is clicked before
+// anything else is tried.
+function strategyOrderFor(command) {
+  const profile = activeSiteProfile();
+  const strategyOrder = (profile && profile.strategyOrder) || currentSettings.strategyOrder;
 
+  if (profile && profile.selectors[command] && strategyOrder.includes('buttons') &&
+      queryProfileSelector(profile.selectors[command])) {
+    return ['buttons', ...strategyOrder.filter(name => name !== 'buttons')];
+  }
+  return strategyOrder;
+}
 
-      // Find all video elements on the page
-      let videos = document.querySelectorAll('video');
+// Function to run the first strategy in the list and fall through to the rest if it didn't work
+function runStrategies(strategyNames, command, player, seekSeconds) {
+  const [name, ...remaining] = strategyNames;
+  if (!name) {
+    console.error('Failed to control video with command:', command);
+    return Promise.resolve({ success: false });
+  }
 
+  const before = player ? captureVideoState(player.video) : null;
+  let attempted = false;
 
-      // If no videos found directly, try finding in iframes
-      if (videos.length === 0) {
-        try {
-          // Try to access videos in all iframes
-          const iframes = document.querySelectorAll('iframe');
+  try {
+    attempted = CONTROL_STRATEGIES[name](command, player, seekSeconds);
+  } catch (e) {
+    console.error(`Error in the ${name} strategy:`, e);
+  }
 
+  if (!attempted) {
+    return runStrategies(remaining, command, player, seekSeconds);
+  }
 
-          for (const iframe of iframes) {
-            try {
-              if (iframe.contentDocument && iframe.contentDocument.querySelectorAll) {
-                const iframeVideos = iframe.contentDocument.querySelectorAll('video');
-                if (iframeVideos.length > 0) {
+  // Without a video there is nothing to compare, trust the first strategy that acted
+  if (!player) {
+    return Promise.resolve({ success: true, strategy: name, verified: false });
+  }
 
-                  videos = iframeVideos;
-                  break;
-                }
-              }
-            } catch (frameError) {
-            }
-          }
-        } catch (iframeError) {
-          console.error('Error trying to find videos in iframes:', iframeError);
-        }
+  return waitForOutcome(() => commandTookEffect(command, before, captureVideoState(player.video), seekSeconds))
+    .then((worked) => {
+      if (worked) {
+        return { success: true, strategy: name, verified: true };
       }
+      return runStrategies(remaining, command, player, seekSeconds);
+    });
+}
 
-      // If we found videos, cache the first one that appears to be playing
-      if (videos.length > 0) {
-        // Try to get the most relevant video (the one that's playing or longest)
-        let bestVideo = videos[0];
-        let bestVideoDuration = 0;
-
-        for (const video of videos) {
-          // If any video is currently playing, pick it immediately
-          if (!video.paused) {
-            bestVideo = video;
-            break;
-          }
+// Function to take the parts of a video's state that commands change
+function captureVideoState(video) {
+  return {
+    paused: video.paused,
+    currentTime: video.currentTime,
+    duration: isFinite(video.duration) ? video.duration : Infinity,
+    playbackRate: video.playbackRate,
+    volume: getVolumeLevel(video),
+    muted: video.muted
+  };
+}
 
-          // Otherwise pick the longest video (likely the main content)
-          if (video.duration > bestVideoDuration) {
-            bestVideo = video;
-            bestVideoDuration = video.duration;
-          }
-        }
+// Function to poll a check until it passes or the verify timeout runs out
+function waitForOutcome(check) {
+  return new Promise((resolve) => {
+    const deadline = Date.now() + currentSettings.verifyTimeout;
 
-        // Cache the best video element for future use
-        cachedVideoElement = bestVideo;
-        ;
+    const poll = () => {
+      if (check()) {
+        resolve(true);
+      } else if (Date.now() >= deadline) {
+        resolve(false);
       } else {
-        return false; // No videos found
+        setTimeout(poll, 50);
+      }
+    };
+
+    setTimeout(poll, 50);
+  });
+}
+
+// Function to decide from the before and after state whether a command did what it should
+function commandTookEffect(command, before, after, seekSeconds) {
+  switch (command) {
+    case 'play-pause':
+      return after.paused !== before.paused;
+    case 'fast-forward':
+    case 'rewind': {
+      // Seeks near either end of the video can't move the full amount, and a
+      // player button may use its own fixed step, so half the distance counts
+      const direction = command === 'fast-forward' ? 1 : -1;
+      const room = direction > 0 ? before.duration - before.currentTime : before.currentTime;
+      const wanted = Math.min(seekSeconds || DEFAULT_SEEK_SECONDS, room);
+
+      // At the start (or the end) there is nothing left to seek, so the seek worked as long as
+      // the video is still there, give or take what it played while the engine waited
+      if (wanted < SEEK_BOUNDARY_DRIFT) {
+        const fromBoundary = direction > 0 ? after.duration - after.currentTime : after.currentTime;
+        return fromBoundary <= wanted + SEEK_BOUNDARY_DRIFT;
       }
+      return (after.currentTime - before.currentTime) * direction >= wanted / 2;
     }
+    case 'speed-up':
+      return after.playbackRate > before.playbackRate || before.playbackRate >= SPEED_STEPS[SPEED_STEPS.length - 1];
+    case 'slow-down':
+      return after.playbackRate < before.playbackRate || before.playbackRate <= SPEED_STEPS[0];
+    case 'reset-speed':
+      return Math.abs(after.playbackRate - 1) < 0.01;
+    case 'volume-up':
+      return after.volume > before.volume || after.muted !== before.muted || before.volume >= maxVolumeLevel();
+    case 'volume-down':
+      return after.volume < before.volume || after.muted !== before.muted || before.volume <= 0;
+    case 'toggle-mute':
+      return after.muted !== before.muted;
+    case 'frame-forward':
+      return after.currentTime > before.currentTime || before.currentTime >= before.duration;
+    case 'frame-back':
+      return after.currentTime < before.currentTime || before.currentTime <= 0;
+  }
+
+  return false;
+}
 
-    // Use the cached video element
-    const video = cachedVideoElement;
+// Function to send a command to the player's adapter
+function runPlayerCommand(player, command, seekSeconds) {
+  const { adapter, video } = player;
 
+  try {
     switch (command) {
-      case 'fast-forward':
-        // Skip looking for video element and use clickOnlyForwardButton()
-        return clickOnlyForwardButton();
-      case 'rewind':
-        // Skip looking for video element and use clickOnlyRewindButton()
-        return clickOnlyRewindButton();
       case 'play-pause':
-        // Toggle play/pause
-        if (video.paused) {
-          const playPromise = video.play();
-          // Handle the play promise to avoid uncaught promise errors
-          if (playPromise !== undefined) {
-            playPromise
-              .then(() => { })
-              .catch(error => {
-                console.error('Error playing video:', error);
-                return false;
-              });
-          }
-        } else {
-          video.pause();
-        }
-        return true;
+        return video.paused ? adapter.play(player) : adapter.pause(player);
+      case 'rewind':
+        return adapter.seek(player, -(seekSeconds || DEFAULT_SEEK_SECONDS));
+      case 'fast-forward':
+        return adapter.seek(player, seekSeconds || DEFAULT_SEEK_SECONDS);
+      case 'speed-up':
+      case 'slow-down':
+      case 'reset-speed':
+        return changePlaybackSpeed(player, command);
+      case 'volume-up':
+      case 'volume-down':
+        return changeVolume(player, command);
+      case 'toggle-mute':
+        return adapter.setMuted(player, !video.muted);
+      case 'frame-forward':
+        return stepFrame(player, 1);
+      case 'frame-back':
+        return stepFrame(player, -1);
     }
   } catch (e) {
-    console.error('Error in HTML5 video method:', e);
-    return false;
+    console.error(`Error running ${command} with the ${adapter.name} adapter:`, e);
   }
 
-  return false; // Method failed
+  return false;
 }
 
-// Special method for directly targeting specific player control patterns
-function trySpecificPlayerPatterns() {
-
-  const groupSelectors = [
-    '.plyr__controls', // Plyr specific
-    '.ytp-left-controls', '.ytp-chrome-bottom', // YouTube specific
-    '.vjs-control-bar', // VideoJS specific
-    '.mejs__controls', // MediaElementJS specific
-    '[class*="video-controls"]', // Generic
-    '[class*="media-controls"]', // Generic
-    '[class*="player-controls"]', // Generic
-    // Broader selectors as fallback for groups
-    '[class*="controls"]',
-    '[class*="Controls"]'
-    // Removed '[class*="player"]' and '[class*="Player"]' as they are too broad for control groups
-  ];
+// Function to find the control button for a command among the page's player control groups
+function findPatternButton(command) {
+  for (const pattern of trySpecificPlayerPatterns()) {
+    for (const btn of pattern.buttons) {
+      const btnDataPlyr = btn.getAttribute('data-plyr');
+      const ariaLabel = (btn.getAttribute('aria-label') || "").toLowerCase();
+      const title = (btn.getAttribute('title') || "").toLowerCase();
+      const innerText = (btn.textContent || "").toLowerCase();
+
+      // Get SVG use href from button - check both href and xlink:href
+      let svgUseHref = "";
+      const svgUse = btn.querySelector('svg use');
+      if (svgUse) {
+        // Check both href and xlink:href (some players use one, some use the other)
+        svgUseHref = (svgUse.getAttribute('xlink:href') || svgUse.getAttribute('href') || "").toLowerCase();
+      }
 
-  const playerPatterns = [];
+      // Check for buttons we NEVER want to click (notification, search, etc.)
+      if (
+        innerText.includes("next lesson") ||
+        innerText.includes("check answer") ||
+        ariaLabel.includes("next lesson") ||
+        innerText.includes("search") ||
+        ariaLabel.includes("notification") ||
+        (btn.querySelector('svg path') && !svgUseHref) // Skip buttons with SVG paths but no href 
+      ) {
 
-  for (const selector of groupSelectors) {
-    const controlGroupsOnPage = document.querySelectorAll(selector);
-    if (controlGroupsOnPage.length > 0) {
-      ;
-    }
-    for (const group of controlGroupsOnPage) {
-      // Check if this group element has already been added to playerPatterns by a more specific selector
-      let alreadyProcessed = playerPatterns.some(p => p.element === group);
-      if (alreadyProcessed) {
-        continue;
+        continue; // Skip this button entirely
       }
 
-      const buttonsInGroup = Array.from(group.querySelectorAll('button'));
+      let isMatch = false;
+      if (command === 'play-pause') {
+        if (
+          btnDataPlyr === 'play' ||
+          ariaLabel.includes('play') || ariaLabel.includes('pause') ||
+          title.includes('play') || title.includes('pause') ||
+          innerText.includes('play') || innerText.includes('pause') ||
+          svgUseHref.includes('plyr-play') || svgUseHref.includes('plyr-pause')
+        ) {
+          isMatch = true;
+        }
+      } else if (command === 'rewind') {
+        if (
+          btnDataPlyr === 'rewind' ||
+          ariaLabel.includes('rewind') ||
+          title.includes('rewind') ||
+          innerText.includes('rewind') ||
+          svgUseHref.includes('plyr-rewind')
+        ) {
+          isMatch = true;
+        }
+      } else if (command === 'fast-forward') {
+        // Be EXTREMELY precise for fast-forward to avoid clicking the wrong button
+        if (
+          btnDataPlyr === 'fast-forward' ||
+          ariaLabel === 'forward 10s' ||
+          title === 'forward 10s' ||
+          svgUseHref.includes('plyr-fast-forward') ||
+          // Check if inner span contains EXACTLY "Forward 10s"
+          (btn.querySelector('.plyr__sr-only') &&
+            btn.querySelector('.plyr__sr-only').textContent.trim() === 'Forward 10s')
+        ) {
+          isMatch = true;
+        }
 
-      if (buttonsInGroup.length > 0) { // A group is only interesting if it has buttons
-        playerPatterns.push({
-          type: 'control-group', // Generic type indicating a collection of control buttons
-          element: group, // The group DOM element
-          buttons: buttonsInGroup // All button DOM elements within this group
-        });
+        // Ensure we're NOT matching a rewind button
+        if (
+          btnDataPlyr === 'rewind' ||
+          ariaLabel.includes('rewind') ||
+          title.includes('rewind') ||
+          innerText.includes('rewind') ||
+          svgUseHref.includes('plyr-rewind')
+        ) {
+
+          isMatch = false;
+        }
       }
-    }
-  }
 
-  // Deduplicate patterns based on the group element, as different selectors might find the same group
-  // This is slightly redundant if the check inside the loop works well, but good as a safeguard.
-  const uniquePatterns = [];
-  const seenElements = new Set();
-  for (const p of playerPatterns) {
-    if (!seenElements.has(p.element)) {
-      uniquePatterns.push(p);
-      seenElements.add(p.element);
+      if (isMatch) {
+        return btn;
+      }
     }
   }
 
-  ;
-  return uniquePatterns;
+  return null;
 }
 
-// Aggressive method to try multiple ways to click the buttons
-function clickVideoButtonAggressively(command) {
-  try {
-    // First try the specific player patterns based on the screenshot
-    const playerPatterns = trySpecificPlayerPatterns();
-    if (playerPatterns.length > 0) {
-      // Map commands to positions in the control layout (based on screenshot)
-      const positionMap = {
-        'play-pause': 0,   // Left button (pause)
-        'rewind': 1,       // Middle button (-10s)
-        'fast-forward': 2  // Right button (+10s)
-      };
+// Function to guess a command's button from its position in a control bar of three or more
+// buttons (play/pause leftmost, rewind in the middle, forward on the right). This often picks
+// the wrong button, so it only runs on sites whose profile allows positional guessing.
+function findPositionalButton(command) {
+  const positionMap = {
+    'play-pause': 0,
+    'rewind': 1,
+    'fast-forward': 2
+  };
+
+  const targetIndex = positionMap[command];
+  if (targetIndex === undefined) {
+    return null;
+  }
 
-      const targetIndex = positionMap[command];
+  for (const pattern of trySpecificPlayerPatterns()) {
+    if (pattern.buttons.length >= 3) {
+      return pattern.buttons[targetIndex];
+    }
+  }
 
-      for (const pattern of playerPatterns) {
-        if (pattern.type === '3-button-row' && targetIndex < pattern.buttons.length) {
-          const targetButton = pattern.buttons[targetIndex];
+  return null;
+}
 
-          // Try multiple ways to click the button
-          ['mousedown', 'mouseup', 'click'].forEach(eventType => {
-            targetButton.dispatchEvent(new MouseEvent(eventType, {
-              view: window,
-              bubbles: true,
-              cancelable: true,
-              composed: true
-            }));
-          });
+// Find the video that is most likely the lesson being watched
+function findMainVideo() {
+  // The page's videos, from the player index
+  let videos = indexedVideos();
 
-          targetButton.click();
+  // If no videos found directly, try finding in iframes
+  if (videos.length === 0) {
+    try {
+      // Try to access videos in all iframes
+      const iframes = document.querySelectorAll('iframe');
 
-          // If that was successful, we're done
-          return true;
+      for (const iframe of iframes) {
+        try {
+          if (iframe.contentDocument && iframe.contentDocument.querySelectorAll) {
+            const iframeVideos = deepQuerySelectorAll('video', iframe.contentDocument);
+            if (iframeVideos.length > 0) {
+              videos = iframeVideos;
+              break;
+            }
+          }
+        } catch (frameError) {
         }
       }
+    } catch (iframeError) {
+      console.error('Error trying to find videos in iframes:', iframeError);
     }
+  }
 
-    // Hard-coded indices based on logs
-    let targetIndices = [];
+  if (videos.length === 0) {
+    return null;
+  }
 
-    if (command === 'rewind') {
-      targetIndices = [1, 36]; // Indices where rewind button was found
-    } else if (command === 'play-pause') {
-      targetIndices = [0, 35]; // Indices where play/pause button was found
-    } else {
-      return false;
+  // Try to get the most relevant video (the one that's playing or longest)
+  let bestVideo = videos[0];
+  let bestVideoDuration = 0;
+
+  for (const video of videos) {
+    // If any video is currently playing, pick it immediately
+    if (!video.paused) {
+      return video;
     }
 
-    const allButtons = document.querySelectorAll('button');
+    // Otherwise pick the longest video (likely the main content)
+    if (video.duration > bestVideoDuration) {
+      bestVideo = video;
+      bestVideoDuration = video.duration;
+    }
+  }
 
-    let success = false;
+  return bestVideo;
+}
 
-    // Try clicking button at each target index
-    for (const index of targetIndices) {
-      if (index < allButtons.length) {
-        const button = allButtons[index];
+// Step the playback speed up, down or back to 1x and remember it for this site
+function changePlaybackSpeed(player, command) {
+  const targetRate = nextPlaybackRate(player.video.playbackRate, command);
+  saveSiteSpeed(targetRate);
+  return player.adapter.setRate(player, targetRate);
+}
 
-        // Try multiple click approaches
-        try {
-          // First, dispatch multiple types of mouse events
-          ['mousedown', 'mouseup', 'click'].forEach(eventType => {
-            button.dispatchEvent(new MouseEvent(eventType, {
-              view: window,
-              bubbles: true,
-              cancelable: true,
-              // Set these to ensure event propagation
-              composed: true,
-              detail: 1
-            }));
-          });
-
-          // Then try direct click
-          button.click();
-
-          // Also try to check if there's an SVG or span inside to click
-          const svgElement = button.querySelector('svg');
-          if (svgElement) {
-            svgElement.click();
-          }
+// The speed a speed command moves to from the current one
+function nextPlaybackRate(currentRate, command) {
+  if (command === 'speed-up') {
+    return SPEED_STEPS.find(step => step > currentRate + 0.01) || SPEED_STEPS[SPEED_STEPS.length - 1];
+  }
+  if (command === 'slow-down') {
+    return SPEED_STEPS.slice().reverse().find(step => step < currentRate - 0.01) || SPEED_STEPS[0];
+  }
+  return 1;
+}
 
-          const useElement = button.querySelector('use');
-          if (useElement) {
-            useElement.click();
-          }
+// Step the volume up or down, past 100% only when the audio boost is on
+function changeVolume(player, command) {
+  const video = player.video;
+  const step = currentSettings.volumeStep / 100;
+  const change = command === 'volume-up' ? step : -step;
+  const targetLevel = Math.round(Math.min(Math.max(getVolumeLevel(video) + change, 0), maxVolumeLevel()) * 100) / 100;
 
-          // Also try triggering the default action
-          const form = button.closest('form');
-          if (form) {
-            form.submit();
-          }
+  // Changing the volume of a muted video unmutes it, like the players' own volume keys
+  if (video.muted) {
+    player.adapter.setMuted(player, false);
+  }
 
-          // If this is a rewind button, also try setting currentTime on video element
-          if (command === 'rewind') {
-            const video = document.querySelector('video');
-            if (video) {
-              // Use adjustVideoTime which now has compensation for the 3x issue
-              adjustVideoTime(video, -10);
-            }
-          }
+  // Up to full volume the player's own volume is used, above that the boost takes over
+  if (targetLevel <= 1) {
+    return setBoostGain(video, 1) && player.adapter.setVolume(player, targetLevel);
+  }
 
-          success = true;
-        } catch (e) {
-          console.error(`Error clicking button at index ${index}:`, e);
-        }
-      }
-    }
+  // Reaching full volume counts even when the boost can't be used on this video
+  const volumeChanged = video.volume < 1;
+  player.adapter.setVolume(player, 1);
+  return setBoostGain(video, targetLevel) || volumeChanged;
+}
 
-    // Also try to find and click buttons by their data-plyr attribute
-    const dataAttr = command === 'rewind' ? 'rewind' : 'play';
-    const targetButtons = document.querySelectorAll(`button[data-plyr="${dataAttr}"]`);
+// The loudest volume-up may go, 1 being full volume without a boost
+function maxVolumeLevel() {
+  return currentSettings.audioBoost ? currentSettings.maxBoost / 100 : 1;
+}
 
-    if (targetButtons.length > 0) {
+// Whether volume-up stopped at full volume because the boost is on but can't be used on this video
+function isBoostUnavailable(video) {
+  return maxVolumeLevel() > 1 && video.volume === 1 && getBoostGain(video) === 1 && !canBoostAudio(video);
+}
 
-      for (const button of targetButtons) {
-        try {
-          button.click();
-          success = true;
-        } catch (e) {
-          console.error(`Error clicking button with data-plyr="${dataAttr}":`, e);
-        }
+// Pause and move exactly one frame forward (1) or back (-1)
+function stepFrame(player, direction) {
+  const video = player.video;
+  if (!video.paused) {
+    player.adapter.pause(player);
+  }
+  return player.adapter.seekTo(player, video.currentTime + direction * getFrameDuration(video));
+}
+
+// The duration of one frame of a video, measured while it played or assumed until then
+function getFrameDuration(video) {
+  const measured = measuredFrameDurations.get(video);
+  if (measured && measured.source === (video.currentSrc || video.src)) {
+    return measured.frameDuration;
+  }
+  return 1 / FALLBACK_FRAME_RATE;
+}
+
+// Measure a playing video's frame rate from the media time of consecutive presented frames.
+// The shortest step between two frames is one frame: dropped frames only make steps longer.
+// Only measured at normal speed, faster playback skips frames on purpose.
+function measureFrameRate(video) {
+  const source = video.currentSrc || video.src;
+  const measured = measuredFrameDurations.get(video);
+
+  if (!('requestVideoFrameCallback' in video) || measuringFrameRates.has(video) ||
+    (measured && measured.source === source)) {
+    return;
+  }
+
+  measuringFrameRates.add(video);
+  let previous = null;
+  let shortestStep = Infinity;
+  let samples = 0;
+
+  const onFrame = (now, metadata) => {
+    if (previous && metadata.presentedFrames === previous.presentedFrames + 1 && video.playbackRate === 1) {
+      const step = metadata.mediaTime - previous.mediaTime;
+      if (step > 0) {
+        shortestStep = Math.min(shortestStep, step);
+        samples++;
       }
     }
+    previous = metadata;
+
+    if (samples >= FRAME_RATE_SAMPLES) {
+      // Snap to a whole frame rate so rounding in the media times doesn't add up over many steps
+      measuredFrameDurations.set(video, { source: source, frameDuration: 1 / Math.round(1 / shortestStep) });
+      measuringFrameRates.delete(video);
+    } else if (!video.paused && (video.currentSrc || video.src) === source) {
+      video.requestVideoFrameCallback(onFrame);
+    } else {
+      // Paused or changed lesson before enough frames were seen, the next play starts over
+      measuringFrameRates.delete(video);
+    }
+  };
 
-    return success;
-  } catch (e) {
-    console.error('Error in aggressive button clicking method:', e);
-    return false;
+  video.requestVideoFrameCallback(onFrame);
+}
+
+// Mark where the A-B loop starts, replacing any loop that was running
+function setLoopStart(player) {
+  clearLoop();
+  abLoop = {
+    player: player,
+    start: player.video.currentTime,
+    end: null,
+    repeatsLeft: 0,
+    pauseTimer: null
+  };
+  return `Loop from ${formatTime(abLoop.start)}, mark the end with B`;
+}
+
+// Mark where the A-B loop ends and start looping from A
+function setLoopEnd(player) {
+  if (!abLoop || abLoop.player.video !== player.video) {
+    return 'Mark the start of the loop with A first';
   }
+
+  const time = player.video.currentTime;
+  if (Math.abs(time - abLoop.start) < 0.5) {
+    return 'The loop needs to be longer than that';
+  }
+
+  // Marking B before A loops the same section
+  abLoop.end = Math.max(time, abLoop.start);
+  abLoop.start = Math.min(time, abLoop.start);
+  abLoop.repeatsLeft = currentSettings.loopRepeats || Infinity;
+
+  player.adapter.seekTo(player, abLoop.start);
+  return `Loop ${describeLoopRange()}`;
 }
 
-// Simple direct method to find and click the correct button
-function clickVideoButton(command) {
-  try {
-    // Find all the buttons to ensure we don't miss any due to DOM changes
-    const allButtons = document.querySelectorAll('button');
+// Stop the A-B loop, the video plays on from where it is
+function clearLoop() {
+  if (!abLoop) {
+    return 'No loop to clear';
+  }
 
-    // Based on the screenshot showing pause, -10s, +10s buttons in a row
-    // First try to identify a row of three adjacent video control buttons
-    const videoControlGroups = document.querySelectorAll('.ytp-left-controls, .plyr__controls, .vjs-control-bar, .mejs__controls, .video-controls, [class*="controls"]');
+  clearTimeout(abLoop.pauseTimer);
+  abLoop = null;
+  return 'Loop off';
+}
 
+// The loop's range as "1:23 – 2:05"
+function describeLoopRange() {
+  return `${formatTime(abLoop.start)} – ${formatTime(abLoop.end)}`;
+}
 
-    // Store all potential target buttons to try
-    const targetButtons = [];
+// Jump back to A whenever the looping video reaches B, pausing first if the settings ask for it
+function continueLoop(video) {
+  if (!abLoop || abLoop.end === null || abLoop.player.video !== video ||
+    abLoop.pauseTimer || video.currentTime < abLoop.end) {
+    return;
+  }
 
-    // STEP 0: Try to identify by position in a group of 3 controls
-    if (videoControlGroups.length > 0) {
-      for (const group of videoControlGroups) {
-        const buttons = group.querySelectorAll('button');
-        // If we find a group with 3 buttons next to each other, they're likely the play/rewind/forward
-        if (buttons.length >= 3) {
+  const player = abLoop.player;
 
+  if (abLoop.repeatsLeft <= 0) {
+    abLoop = null;
+    if (currentSettings.showOverlay) {
+      showOverlay(video, 'Loop done');
+    }
+    return;
+  }
 
-          // Map positions based on common UI patterns (play/pause leftmost, rewind middle, forward rightmost)
-          const positionMap = {
-            'play-pause': 0,
-            'rewind': 1,
-            'fast-forward': 2
-          };
+  abLoop.repeatsLeft--;
 
-          const targetPos = positionMap[command];
-          if (targetPos !== undefined && targetPos < buttons.length) {
+  if (currentSettings.showOverlay) {
+    const repeats = isFinite(abLoop.repeatsLeft) ? ` (${abLoop.repeatsLeft} left)` : '';
+    showOverlay(video, `Loop ${describeLoopRange()}${repeats}`);
+  }
 
-            targetButtons.push(buttons[targetPos]);
-          }
-        }
-      }
+  if (!currentSettings.loopPause) {
+    // A loop ending at the very end of the video has to start it again
+    const ended = video.ended;
+    player.adapter.seekTo(player, abLoop.start);
+    if (ended) {
+      player.adapter.play(player);
     }
+    return;
+  }
 
-    // Map commands to button indices and data-plyr attributes
-    const buttonMap = {
-      'play-pause': {
-        dataAttr: 'play',
-        defaultIndex: 0,
-        ariaLabel: ['play', 'pause', 'Play', 'Pause'],
-        titleContains: ['play', 'pause', 'Play', 'Pause'],
-        classContains: ['play', 'pause']
-      },
-      'rewind': {
-        dataAttr: 'rewind',
-        defaultIndex: 1,
-        ariaLabel: ['rewind', 'Rewind', 'back', 'Back', 'previous', '10 seconds', '-10', '10s'],
-        titleContains: ['rewind', 'back', 'previous', '10 seconds', '-10', '10s'],
-        classContains: ['rewind', 'back', 'prev', 'backward']
-      },
-      'fast-forward': {
-        dataAttr: 'fast-forward',
-        defaultIndex: 2,
-        ariaLabel: ['forward', 'Forward', 'next', 'Next', 'skip', '10 seconds', '+10', '10s'],
-        titleContains: ['forward', 'next', 'skip', '10 seconds', '+10', '10s'],
-        classContains: ['forward', 'next', 'skip']
-      }
-    };
+  player.adapter.pause(player);
+  player.adapter.seekTo(player, abLoop.start);
+  abLoop.pauseTimer = setTimeout(() => {
+    if (abLoop && abLoop.player === player) {
+      abLoop.pauseTimer = null;
+      player.adapter.play(player);
+    }
+  }, currentSettings.loopPause * 1000);
+}
 
-    if (!buttonMap[command]) {
-      console.error('Unknown command:', command);
+// Open the go to time input over the video and seek there once the user submits it
+function promptGoToTime(player) {
+  showOverlayPrompt(player.video, 'Go to mm:ss, h:mm:ss or 50%', (text) => {
+    const time = parseTimeInput(text, player.video.duration);
+    if (time === null) {
+      showOverlay(player.video, 'Enter a time like 12:34, 1:02:03 or 50%');
       return false;
     }
 
-    const { dataAttr, defaultIndex, ariaLabel, titleContains, classContains } = buttonMap[command];
+    // Some adapters seek asynchronously, the video may not be there yet
+    player.adapter.seekTo(player, time);
+    showOverlay(player.video, `Jumped to ${formatTime(time)}`);
+    return true;
+  });
+  return null;
+}
 
-    // STEP 1: Search by data attribute
-    const dataAttrButtons = document.querySelectorAll(`button[data-plyr="${dataAttr}"]`);
-    dataAttrButtons.forEach(btn => targetButtons.push(btn));
+// Bookmark the current time of the video, with the note the user types (Enter alone saves without one)
+function promptBookmark(player) {
+  const video = player.video;
+  const time = video.currentTime;
 
-    // STEP 2: Search by aria-label 
-    for (let i = 0; i < allButtons.length; i++) {
-      const btn = allButtons[i];
-      const label = btn.getAttribute('aria-label')?.toLowerCase();
+  if (!isFinite(video.duration)) {
+    return 'Live videos can\'t be bookmarked';
+  }
 
-      if (label && ariaLabel.some(term => label.includes(term.toLowerCase()))) {
-        targetButtons.push(btn);
-      }
-    }
+  showOverlayPrompt(video, `Note for ${formatTime(time)} (optional), Enter to save`, (text) => {
+    addBookmark(lessonKey(location.href, video), { url: location.href, title: document.title }, { time: time, note: text.trim() })
+      .then(() => {
+        showOverlay(video, `Bookmarked ${formatTime(time)}`);
+      })
+      .catch((error) => {
+        showOverlay(video, `Could not save the bookmark: ${error.message}`);
+      });
+    return true;
+  });
+  return null;
+}
 
-    // STEP 2.5: Search by title attribute
-    for (let i = 0; i < allButtons.length; i++) {
-      const btn = allButtons[i];
-      const title = btn.getAttribute('title')?.toLowerCase();
+// Seek to the next chapter (1), or the previous one (-1). Like a media player's previous
+// track button, previous restarts the current chapter unless it only just started.
+function goToChapter(player, direction) {
+  const chapters = findChapters(player);
+  if (chapters.length === 0) {
+    return 'No chapters found for this video';
+  }
 
-      if (title && titleContains.some(term => title.includes(term.toLowerCase()))) {
-        targetButtons.push(btn);
-      }
+  const time = player.video.currentTime;
+  let target;
+
+  if (direction > 0) {
+    target = chapters.find(chapter => chapter.start > time + 0.5);
+    if (!target) {
+      return 'Already in the last chapter';
     }
+  } else {
+    const current = chapters.filter(chapter => chapter.start <= time + 0.5);
+    const currentChapter = current[current.length - 1];
+    if (currentChapter && time - currentChapter.start > CHAPTER_RESTART_THRESHOLD) {
+      target = currentChapter;
+    } else {
+      target = current[current.length - 2] || chapters[0];
+    }
+  }
 
-    // STEP 3: Try by class names
-    for (let i = 0; i < allButtons.length; i++) {
-      const btn = allButtons[i];
-      const classNames = btn.className.toLowerCase();
+  player.adapter.seekTo(player, target.start);
+  return `${target.title} (${formatTime(target.start)})`;
+}
 
-      // Look for class names containing command keywords
-      if (classContains.some(term => classNames.includes(term.toLowerCase()))) {
-        targetButtons.push(btn);
-      }
-    }
+// Turn captions on or off, through the player's own captions button where it has one
+function toggleCaptions(player) {
+  if (captionTracks(player.video).length === 0) {
+    return 'No captions for this video';
+  }
 
-    // STEP 4: Search for inner elements with descriptive text
-    for (let i = 0; i < allButtons.length; i++) {
-      const btn = allButtons[i];
-      const innerText = btn.textContent?.toLowerCase() || '';
+  player.adapter.toggleCaptions(player);
+  refreshCaptionOverride(currentSettings);
+  return describeCaptions(player);
+}
 
-      // Check if button or children contain relevant text
-      if (titleContains.some(term => innerText.includes(term.toLowerCase()))) {
-        targetButtons.push(btn);
-      }
+// Switch to the next caption language, turning captions on if they were off
+function cycleCaptionLanguage(player) {
+  const tracks = captionTracks(player.video);
+  if (tracks.length === 0) {
+    return 'No captions for this video';
+  }
 
-      // Look for child elements with relevant icons or text
-      const childElems = btn.querySelectorAll('*');
-      for (const child of childElems) {
-        const childClass = (typeof child.className === 'string') ? child.className.toLowerCase() : '';
-        const childText = child.textContent?.toLowerCase() || '';
+  const current = player.adapter.getCaptionTrack(player);
+  player.adapter.setCaptionTrack(player, (current + 1) % tracks.length);
+  refreshCaptionOverride(currentSettings);
+  return describeCaptions(player);
+}
 
-        if (
-          (childClass && classContains.some(term => childClass.includes(term.toLowerCase()))) ||
-          (childText && titleContains.some(term => childText.includes(term.toLowerCase())))
-        ) {
-          targetButtons.push(btn);
-          break;
-        }
-      }
-    }
+// Describe the captions as "Captions: English" or "Captions off"
+function describeCaptions(player) {
+  const index = player.adapter.getCaptionTrack(player);
+  if (index < 0) {
+    return 'Captions off';
+  }
 
-    // STEP 5: Look for buttons with relevant SVG paths or titles that might indicate their function
-    document.querySelectorAll('button svg, button img').forEach(icon => {
-      const button = icon.closest('button');
-      if (button) {
-        // Check title attributes on the SVG or parent button
-        const svgTitle = icon.querySelector('title')?.textContent?.toLowerCase() || '';
+  const track = captionTracks(player.video)[index];
+  return `Captions: ${track.label || track.language || `track ${index + 1}`}`;
+}
 
-        if (titleContains.some(term => svgTitle.includes(term.toLowerCase()))) {
-          targetButtons.push(button);
-        }
-      }
-    });
+// Copy the page URL with the video's current time in its hash, for "watch from here" links
+function copyTimestampLink(player) {
+  const time = player.video.currentTime;
+  const link = addTimestampToUrl(location.href, time);
 
-    // STEP 6: As a last resort, use index-based approach
-    if (allButtons.length > defaultIndex) {
-      targetButtons.push(allButtons[defaultIndex]);
+  copyToClipboard(link).then((copied) => {
+    if (currentSettings.showOverlay) {
+      showOverlay(player.video, copied ? `Copied a link to ${formatTime(time)}` : 'Could not copy the link');
+    }
+  });
+  return null;
+}
 
-      // Also try index+35 (based on the pattern seen in logs)
-      if (allButtons.length > defaultIndex + 35) {
-        targetButtons.push(allButtons[defaultIndex + 35]);
+// Copy text to the clipboard. Commands don't come with a click on the page, so when the
+// clipboard API refuses, fall back to a hidden textarea and the copy command. Focus goes back
+// to where it was, so the player keeps its keyboard shortcuts.
+function copyToClipboard(text) {
+  return navigator.clipboard.writeText(text)
+    .then(() => true)
+    .catch(() => {
+      const focused = document.activeElement;
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.style.cssText = 'position: fixed; top: -1000px; opacity: 0;';
+      document.documentElement.appendChild(textarea);
+      textarea.select();
+      const copied = document.execCommand('copy');
+      textarea.remove();
+      if (focused && focused !== document.body && typeof focused.focus === 'function') {
+        focused.focus({ preventScroll: true });
       }
-    }
+      return copied;
+    });
+}
 
-    if (targetButtons.length === 0) {
-      console.error(`Could not find any ${command} button`);
-      return false;
-    }
+// Seek the main video to a timestamp link's time once it has metadata, and again if the
+// player moves it away while setting up. After the window the user is free to seek.
+function applyLinkedTime(video) {
+  if (linkedTime === null || !video || video !== findMainVideo() || video.readyState < HTMLMediaElement.HAVE_METADATA) {
+    return;
+  }
 
-    // Try clicking each button until one works
-    let success = false;
-    for (const button of targetButtons) {
-      try {
-        // Try multiple click approaches
-        ['mousedown', 'mouseup', 'click'].forEach(eventType => {
-          button.dispatchEvent(new MouseEvent(eventType, {
-            view: window,
-            bubbles: true,
-            cancelable: true,
-            composed: true,
-            detail: 1
-          }));
-        });
+  if (linkedTimeFirstSeek && Date.now() - linkedTimeFirstSeek > LINKED_TIME_WINDOW) {
+    linkedTime = null;
+    return;
+  }
 
-        button.click();
+  if (Math.abs(video.currentTime - linkedTime) < 1) {
+    return;
+  }
 
-        // Try clicking inner elements as well
-        const innerElements = button.querySelectorAll('*');
-        for (const elem of innerElements) {
-          try {
-            elem.click();
-          } catch (e) {
-            // Ignore errors on inner elements
-          }
-        }
+  const player = findPlayer(video);
+  player.adapter.seekTo(player, linkedTime);
 
-        success = true;
-      } catch (e) {
-        console.error(`Error clicking button:`, e);
-      }
+  if (!linkedTimeFirstSeek) {
+    linkedTimeFirstSeek = Date.now();
+    if (currentSettings.showOverlay) {
+      showOverlay(video, `Starting at ${formatTime(linkedTime)} from the link`);
     }
+  }
+}
 
-    return success;
-  } catch (e) {
-    console.error('Error in clickVideoButton method:', e);
-    return false;
+// Save where the main video is, or forget it once the lesson has been watched to the end
+function saveLessonPosition(video) {
+  if (video !== findMainVideo() || !isFinite(video.duration) || video.duration <= 0) {
+    return;
+  }
+
+  lastPositionSave = Date.now();
+  const key = lessonKey(location.href, video);
+
+  if (video.ended || video.currentTime >= video.duration - RESUME_END_MARGIN) {
+    removeResumePosition(key);
+  } else if (video.currentTime >= RESUME_MIN_POSITION) {
+    saveResumePosition(key, {
+      position: video.currentTime,
+      duration: video.duration,
+      title: document.title
+    }, currentSettings.resumeRetentionDays);
   }
 }
 
-// Method for simulating keyboard events
-function tryKeyboardMethod(command) {
-  try {
-    // Map commands to keyboard keys (key, keyCode, and alternative keys)
-    const keyMap = {
-      'fast-forward': { main: ['ArrowRight', 39], alt: ['L', 76, 'l'] },
-      'rewind': { main: ['ArrowLeft', 37], alt: ['J', 74, 'j'] },
-      'play-pause': { main: [' ', 32], alt: ['K', 75, 'k'] }  // Space key, and K as alternative
-    };
+// Resume a lesson opened again where it was left, or offer to, once per video source
+function offerResume(video) {
+  const source = video.currentSrc || video.src;
+  if (!source || !isFinite(video.duration) || resumeCheckedSources.get(video) === source) {
+    return;
+  }
+  if (video !== findMainVideo()) {
+    return;
+  }
+  resumeCheckedSources.set(video, source);
 
-    if (!keyMap[command]) {
-      return false;
-    }
+  // A timestamp link says where to start, resuming would undo it
+  if (linkedTime !== null || linkedTimeFirstSeek) {
+    return;
+  }
 
-    // Find the video player element to focus
-    const videoElements = document.querySelectorAll('video');
-    const videoControlsElements = document.querySelectorAll('.plyr__controls, .ytp-chrome-controls, .vjs-control-bar');
-    const playerElements = document.querySelectorAll('.plyr, .html5-video-player, .video-js');
+  loadResumePosition(lessonKey(location.href, video)).then((saved) => {
+    // Already further along, or nothing worth resuming
+    if (!saved || saved.position < RESUME_MIN_POSITION || video.currentTime >= saved.position - RESUME_MIN_POSITION) {
+      return;
+    }
 
-    // Try to focus the video or control element first
-    let targetElement = document;
-    let focused = false;
+    const resume = () => {
+      const player = findPlayer(video);
+      if (player) {
+        player.adapter.seekTo(player, saved.position);
+      }
+    };
 
-    // Try focusing different elements in order of specificity
-    if (videoElements.length > 0) {
-      targetElement = videoElements[0];
-      videoElements[0].focus();
-      focused = true;
+    if (currentSettings.autoResume) {
+      resume();
+      if (currentSettings.showOverlay) {
+        showOverlay(video, `Resumed at ${formatTime(saved.position)}`);
+      }
+    } else {
+      showOverlayAction(video, `Resume from ${formatTime(saved.position)}`, RESUME_OFFER_DURATION, resume);
     }
+  });
+}
 
-    if (!focused && playerElements.length > 0) {
-      targetElement = playerElements[0];
-      playerElements[0].focus();
-      focused = true;
+// Remember the last speed used on this site
+function saveSiteSpeed(rate) {
+  chrome.storage.local.get(SITE_SPEEDS_KEY, (result) => {
+    const siteSpeeds = result[SITE_SPEEDS_KEY] || {};
+    siteSpeeds[location.hostname] = rate;
+    chrome.storage.local.set({ [SITE_SPEEDS_KEY]: siteSpeeds });
+  });
+}
+
+// Apply the remembered speed for this site once per video source
+function restoreSiteSpeed(video) {
+  const source = video.currentSrc || video.src;
+  if (!source || restoredSpeedSources.get(video) === source) {
+    return;
+  }
+  restoredSpeedSources.set(video, source);
+
+  chrome.storage.local.get(SITE_SPEEDS_KEY, (result) => {
+    const siteSpeeds = result[SITE_SPEEDS_KEY] || {};
+    const rate = siteSpeeds[location.hostname];
+    const player = findPlayer(video);
+    if (rate && player && Math.abs(video.playbackRate - rate) >= 0.01) {
+      player.adapter.setRate(player, rate);
     }
+  });
+}
 
-    if (!focused && videoControlsElements.length > 0) {
-      targetElement = videoControlsElements[0];
-      videoControlsElements[0].focus();
-      focused = true;
+// Media events don't bubble, so listen in the capture phase to see every video on the page.
+// A new lesson loads new media; the first play covers videos that loaded before this script.
+['loadedmetadata', 'play'].forEach(eventType => {
+  document.addEventListener(eventType, (event) => {
+    if (event.target instanceof HTMLVideoElement) {
+      restoreSiteSpeed(event.target);
     }
+  }, true);
+});
 
-    // Helper to create keyboard events
-    function createKeyboardEvent(type, key, keyCode) {
-      return new KeyboardEvent(type, {
-        key: key,
-        code: key === ' ' ? 'Space' : `Key${key.toUpperCase()}`,
-        keyCode: keyCode,
-        which: keyCode,
-        bubbles: true,
-        cancelable: true,
-        view: window,
-        composed: true
-      });
+// The loop checks for B on every time update of the looping video, and ends when its lesson is unloaded
+document.addEventListener('timeupdate', (event) => {
+  continueLoop(event.target);
+}, true);
+
+document.addEventListener('emptied', (event) => {
+  if (abLoop && abLoop.player.video === event.target) {
+    clearLoop();
+  }
+}, true);
+
+// Save the main video's position regularly while it plays, whenever it pauses and when leaving
+// the page. A lesson watched to the end forgets its position.
+document.addEventListener('timeupdate', (event) => {
+  if (event.target instanceof HTMLVideoElement && Date.now() - lastPositionSave >= RESUME_SAVE_INTERVAL) {
+    saveLessonPosition(event.target);
+  }
+}, true);
+
+document.addEventListener('pause', (event) => {
+  if (event.target instanceof HTMLVideoElement) {
+    saveLessonPosition(event.target);
+  }
+}, true);
+
+window.addEventListener('pagehide', () => {
+  const video = findMainVideo();
+  if (video) {
+    saveLessonPosition(video);
+  }
+});
+
+// Take the main video to a timestamp link's time as soon as it can seek, and keep it there
+// while the player sets up. A timestamp link pasted into an open tab only changes the hash.
+['loadedmetadata', 'canplay', 'playing', 'timeupdate'].forEach(eventType => {
+  document.addEventListener(eventType, (event) => {
+    if (event.target instanceof HTMLVideoElement) {
+      applyLinkedTime(event.target);
     }
+  }, true);
+});
 
-    // Try all possible keyboard shortcuts for this command
-    let success = false;
+// Function to read the time of a timestamp link the page moved to, null if there is none
+function readNewLinkedTime() {
+  const url = new URL(location.href);
+  if (url.search === linkedTimeQuery) {
+    url.searchParams.delete(TIMESTAMP_HASH_PARAM);
+  }
+  linkedTimeQuery = location.search;
+  return readTimestampFromUrl(url.href);
+}
 
-    // First try the main key
-    const { main, alt } = keyMap[command];
-    const [mainKey, mainKeyCode] = main;
+window.addEventListener('hashchange', () => {
+  const time = readNewLinkedTime();
+  if (time !== null) {
+    linkedTime = time;
+    linkedTimeFirstSeek = 0;
+    applyLinkedTime(findMainVideo());
+  }
+});
 
-    // Create keydown and keyup events
-    const keyDownEvent = createKeyboardEvent('keydown', mainKey, mainKeyCode);
-    const keyUpEvent = createKeyboardEvent('keyup', mainKey, mainKeyCode);
+// The video may already be loaded when this script runs
+applyLinkedTime(findMainVideo());
 
-    // Dispatch on both the target element and document
-    targetElement.dispatchEvent(keyDownEvent);
-    document.dispatchEvent(keyDownEvent);
+// A lesson's video is ready to resume once its duration is known
+['loadedmetadata', 'play'].forEach(eventType => {
+  document.addEventListener(eventType, (event) => {
+    if (event.target instanceof HTMLVideoElement) {
+      offerResume(event.target);
+    }
+  }, true);
+});
 
-    // Short delay between keydown and keyup
-    setTimeout(() => {
-      targetElement.dispatchEvent(keyUpEvent);
-      document.dispatchEvent(keyUpEvent);
+// The caption style override follows the caption track the player has active: it can change
+// with a new lesson, a track mode change, or Plyr's own captions button and language menu
+['loadedmetadata', 'play', 'captionsenabled', 'captionsdisabled', 'languagechange'].forEach(eventType => {
+  document.addEventListener(eventType, (event) => {
+    const video = event.target instanceof HTMLVideoElement ? event.target : null;
+    if (video && !captionWatchedVideos.has(video)) {
+      captionWatchedVideos.add(video);
+      video.textTracks.addEventListener('change', () => refreshCaptionOverride(currentSettings));
+    }
+    refreshCaptionOverride(currentSettings);
+  }, true);
+});
 
-      // Now try alternative keys if available
-      if (alt) {
-        const [altKey, altKeyCode, altKeyLower] = alt;
+// Frame rates can only be measured while a video plays
+document.addEventListener('playing', (event) => {
+  if (event.target instanceof HTMLVideoElement) {
+    measureFrameRate(event.target);
+  }
+}, true);
 
-        // Create alternative keydown and keyup events
-        const altKeyDownEvent = createKeyboardEvent('keydown', altKey, altKeyCode);
-        const altKeyUpEvent = createKeyboardEvent('keyup', altKey, altKeyCode);
+// Media keys, headset buttons and the system's media overlay drive the main video once it plays
+document.addEventListener('play', (event) => {
+  if (event.target instanceof HTMLVideoElement) {
+    registerMediaSession(event.target);
+  }
+}, true);
 
-        // Dispatch alternative keys
-        targetElement.dispatchEvent(altKeyDownEvent);
-        document.dispatchEvent(altKeyDownEvent);
+// The system's seek bar follows the video
+['durationchange', 'ratechange', 'seeked'].forEach(eventType => {
+  document.addEventListener(eventType, (event) => {
+    if (event.target === mediaSessionVideo) {
+      updateMediaPositionState(event.target);
+    }
+  }, true);
+});
 
-        setTimeout(() => {
-          targetElement.dispatchEvent(altKeyUpEvent);
-          document.dispatchEvent(altKeyUpEvent);
+// Function to route the Media Session actions to the command engine, once per page. A page that
+// set Media Session metadata or a playback state runs its own handlers, there is no way to read
+// them, so its session is left alone. Once registered, only the video the seek bar follows changes.
+function registerMediaSession(video) {
+  if (!currentSettings.mediaKeys || !('mediaSession' in navigator) || video !== findMainVideo()) {
+    return;
+  }
 
-          // Also try lowercase version if it's a letter
-          if (altKeyLower) {
-            const lowerKeyDownEvent = createKeyboardEvent('keydown', altKeyLower, altKeyCode);
-            const lowerKeyUpEvent = createKeyboardEvent('keyup', altKeyLower, altKeyCode);
+  if (mediaSessionVideo) {
+    mediaSessionVideo = video;
+    updateMediaPositionState(video);
+    return;
+  }
+  if (navigator.mediaSession.metadata || navigator.mediaSession.playbackState !== 'none') {
+    return;
+  }
 
-            targetElement.dispatchEvent(lowerKeyDownEvent);
-            document.dispatchEvent(lowerKeyDownEvent);
+  mediaSessionVideo = video;
 
-            setTimeout(() => {
-              targetElement.dispatchEvent(lowerKeyUpEvent);
-              document.dispatchEvent(lowerKeyUpEvent);
-            }, 50);
-          }
-        }, 50);
+  // Previous and next track go to chapters. The chapters are looked up when the button is
+  // pressed: chapter tracks load after the video starts and each lesson has its own.
+  const handlers = {
+    'play': () => {
+      const main = findMainVideo();
+      if (main && main.paused) {
+        performVideoControl('play-pause');
       }
-    }, 50);
+    },
+    'pause': () => {
+      const main = findMainVideo();
+      if (main && !main.paused) {
+        performVideoControl('play-pause');
+      }
+    },
+    'seekbackward': (details) => performVideoControl('rewind', details.seekOffset || currentSettings.seekStep),
+    'seekforward': (details) => performVideoControl('fast-forward', details.seekOffset || currentSettings.seekStep),
+    'seekto': (details) => seekMainVideoTo(details.seekTime),
+    'previoustrack': () => performVideoControl('prev-chapter'),
+    'nexttrack': () => performVideoControl('next-chapter')
+  };
+
+  MEDIA_SESSION_ACTIONS.forEach(action => setMediaSessionHandler(action, handlers[action]));
+  updateMediaPositionState(video);
+}
 
-    return true;
-  } catch (e) {
-    console.error('Error in keyboard method:', e);
-    return false;
+// Function to give the Media Session back to the browser's default handling
+function releaseMediaSession() {
+  if (!mediaSessionVideo) {
+    return;
   }
+
+  MEDIA_SESSION_ACTIONS.forEach(action => setMediaSessionHandler(action, null));
+  mediaSessionVideo = null;
 }
 
-// Add a safer method for fast-forward to avoid navigation
-function tryFastForwardSafely() {
+// Function to set one Media Session handler, browsers throw for actions they don't support
+function setMediaSessionHandler(action, handler) {
   try {
-    // Find fast-forward buttons while strictly avoiding navigation buttons
-    const validButtons = [];
-
-    // Direct data-plyr selectors (safest)
-    const plyrButtons = document.querySelectorAll('button[data-plyr="fast-forward"]');
-    if (plyrButtons.length > 0) {
-      validButtons.push(...Array.from(plyrButtons));
-    }
+    navigator.mediaSession.setActionHandler(action, handler);
+  } catch (e) {
+    // Not supported here, the system just won't offer it
+  }
+}
 
-    // Look for SVG use with fast-forward reference
-    const allButtons = document.querySelectorAll('button');
-    for (const btn of allButtons) {
-      const svgUse = btn.querySelector('svg use');
-      if (svgUse) {
-        // Check both href and xlink:href attributes
-        const href = svgUse.getAttribute('href') || svgUse.getAttribute('xlink:href') || "";
-        if (href === '#plyr-fast-forward') {
-          // Check if it's not already in our list
-          if (!validButtons.includes(btn)) {
-            validButtons.push(btn);
-          }
-        }
-      }
+// Function to tell the system where the video is, for its seek bar
+function updateMediaPositionState(video) {
+  if (!navigator.mediaSession.setPositionState || !isFinite(video.duration)) {
+    return;
+  }
 
-      // Check for text "Forward 10s" exactly
-      const span = btn.querySelector('.plyr__sr-only, .sr-only');
-      if (span && span.textContent.trim() === 'Forward 10s') {
-        if (!validButtons.includes(btn)) {
-          validButtons.push(btn);
-        }
-      }
-    }
+  try {
+    navigator.mediaSession.setPositionState({
+      duration: video.duration,
+      playbackRate: video.playbackRate,
+      position: Math.min(video.currentTime, video.duration)
+    });
+  } catch (e) {
+    // Rejected while the video reports a rate of 0 or is still setting up
+  }
+}
 
-    if (validButtons.length > 0) {
+// Course sites are single-page apps: the next lesson only changes the URL and swaps the
+// player's video. The page's own history.pushState() calls can't be seen from the content
+// script's world, the Navigation API reports them; popstate covers back and forward.
+if (window.navigation) {
+  window.navigation.addEventListener('currententrychange', checkForLessonChange);
+}
+window.addEventListener('popstate', checkForLessonChange);
 
-      for (const btn of validButtons) {
-        btn.click();
-        return true;
-      }
+// Browsers without the Navigation API still see the new lesson's video start loading
+['loadstart', 'emptied'].forEach(eventType => {
+  document.addEventListener(eventType, (event) => {
+    if (event.target instanceof HTMLVideoElement) {
+      checkForLessonChange();
     }
+  }, true);
+});
 
-    return false;
-  } catch (e) {
-    console.error('Error in safe fast-forward method:', e);
-    return false;
+// Function to notice the page moving to another lesson and tell the per-lesson features
+function checkForLessonChange() {
+  const lessonUrl = normalizeLessonUrl(location.href);
+  if (lessonUrl === currentLessonUrl) {
+    return;
   }
-}
 
-// Special fallback methods for problematic commands
-function tryRewindFallback() {
-  try {
-    // Try direct approach first (which we may have already tried, but double-check)
-    const directButton = findExactButton('rewind');
-    if (directButton) {
-      return tryButtonClick(directButton);
-    }
+  const previousUrl = currentLessonUrl;
+  currentLessonUrl = lessonUrl;
+  window.dispatchEvent(new CustomEvent(LESSON_CHANGED_EVENT, { detail: { url: lessonUrl, previousUrl: previousUrl } }));
+}
 
-    // Find rewind buttons while strictly avoiding navigation buttons
-    const validButtons = [];
+// A new lesson starts without the previous lesson's loop, transcript, prompts or resume offer
+window.addEventListener(LESSON_CHANGED_EVENT, () => {
+  clearLoop();
+  closeTranscriptPanel();
+  closeOverlayPrompt();
+  hideOverlayAction();
+});
 
-    // Direct data-plyr selectors (safest)
-    const plyrButtons = document.querySelectorAll('button[data-plyr="rewind"]');
-    if (plyrButtons.length > 0) {
-      validButtons.push(...Array.from(plyrButtons));
-    }
+// Speed memory, resume, timestamp links and the caption override apply again to the new lesson.
+// Its video may have loaded before the URL changed, so the per-source checks start over and
+// the main video is looked up again; a video that loads later is handled by its media events.
+window.addEventListener(LESSON_CHANGED_EVENT, () => {
+  restoredSpeedSources = new WeakMap();
+  resumeCheckedSources = new WeakMap();
+  lastPositionSave = 0;
+  linkedTime = readNewLinkedTime();
+  linkedTimeFirstSeek = 0;
+
+  const video = findMainVideo();
+  if (video) {
+    restoreSiteSpeed(video);
+    applyLinkedTime(video);
+    offerResume(video);
+  }
+  refreshCaptionOverride(currentSettings);
 
-    // Look for SVG use with rewind reference
-    const allButtons = document.querySelectorAll('button');
-    for (const btn of allButtons) {
-      // Skip any non-player buttons
-      if (
-        btn.classList.contains('mr-5') || // Notification button class
-        btn.getAttribute('aria-haspopup') === 'dialog' || // Dialog trigger buttons
-        btn.parentElement?.getAttribute('aria-haspopup') === 'dialog' || // Dialog parent buttons
-        (btn.textContent?.includes('Search')) // Search buttons
-      ) {
-        continue;
-      }
+  // The system's seek bar follows the new lesson's video
+  if (mediaSessionVideo && video) {
+    registerMediaSession(video);
+  }
+});
 
-      const svgUse = btn.querySelector('svg use');
-      if (svgUse) {
-        // Check both href and xlink:href attributes
-        const href = svgUse.getAttribute('href') || svgUse.getAttribute('xlink:href') || "";
-        if (href === '#plyr-rewind') {
-          // Check if it's not already in our list
-          if (!validButtons.includes(btn)) {
-            validButtons.push(btn);
-          }
-        }
-      }
+// Special method for directly targeting specific player control patterns
+function trySpecificPlayerPatterns() {
+  // The site profile's control bar selector goes before all the guesses below
+  const profile = activeSiteProfile();
+  const profileSelectors = profile && profile.selectors.controls ? [profile.selectors.controls] : [];
 
-      // Check for text "Rewind 10s" exactly
-      const span = btn.querySelector('.plyr__sr-only, .sr-only');
-      if (span && span.textContent.trim() === 'Rewind 10s') {
-        if (!validButtons.includes(btn)) {
-          validButtons.push(btn);
-        }
-      }
-    }
+  const groupSelectors = [...profileSelectors, ...CONTROL_BAR_SELECTORS];
 
-    if (validButtons.length > 0) {
+  const playerPatterns = [];
 
-      for (const btn of validButtons) {
-        if (tryButtonClick(btn)) {
-          return true;
-        }
+  for (const selector of groupSelectors) {
+    // The built-in control bars come from the player index, only the profile's selector is queried
+    const controlGroupsOnPage = profileSelectors.includes(selector)
+      ? queryProfileSelector(selector, true)
+      : indexedControlBars(selector);
+    for (const group of controlGroupsOnPage) {
+      // Check if this group element has already been added to playerPatterns by a more specific selector
+      let alreadyProcessed = playerPatterns.some(p => p.element === group);
+      if (alreadyProcessed) {
+        continue;
       }
-    }
 
-    // Try to find a video element directly and rewind it
-    const videos = document.querySelectorAll('video');
-    if (videos.length > 0) {
-      const video = videos[0];
+      const buttonsInGroup = indexedButtonsIn(group);
 
-      // Try using our precision function
-      if (adjustVideoTime(video, -10)) {
-        return true;
+      if (buttonsInGroup.length > 0) { // A group is only interesting if it has buttons
+        playerPatterns.push({
+          type: 'control-group', // Generic type indicating a collection of control buttons
+          element: group, // The group DOM element
+          buttons: buttonsInGroup // All button DOM elements within this group
+        });
       }
     }
+  }
 
-    return false;
-  } catch (e) {
-    console.error('Error in rewind fallback method:', e);
-    return false;
+  // Deduplicate patterns based on the group element, as different selectors might find the same group
+  // This is slightly redundant if the check inside the loop works well, but good as a safeguard.
+  const uniquePatterns = [];
+  const seenElements = new Set();
+  for (const p of playerPatterns) {
+    if (!seenElements.has(p.element)) {
+      uniquePatterns.push(p);
+      seenElements.add(p.element);
+    }
   }
+
+  ;
+  return uniquePatterns;
 }
 
-function tryPlayPauseFallback() {
+// Method for simulating keyboard events
+function tryKeyboardMethod(command) {
   try {
+    // Map commands to the most common keyboard shortcut for them (key, code and keyCode).
+    // Only one key is sent: sending alternatives like K after Space toggles play twice.
+    const keyMap = {
+      'fast-forward': ['ArrowRight', 'ArrowRight', 39],
+      'rewind': ['ArrowLeft', 'ArrowLeft', 37],
+      'play-pause': [' ', 'Space', 32],
+      'volume-up': ['ArrowUp', 'ArrowUp', 38],
+      'volume-down': ['ArrowDown', 'ArrowDown', 40],
+      'toggle-mute': ['m', 'KeyM', 77],
+      'frame-forward': ['.', 'Period', 190],
+      'frame-back': [',', 'Comma', 188]
+    };
 
-    // Find only the plyr play button and try to click it first - this is the most reliable
-    const plyrButton = document.querySelector('button[data-plyr="play"]');
-    if (plyrButton) {
-      plyrButton.click();
-      return true;
+    if (!keyMap[command]) {
+      return false;
     }
 
-    // Next most reliable - find buttons with plyr svg references
-    const allButtons = document.querySelectorAll('button');
-    const playPauseButtons = Array.from(allButtons).filter(btn => {
-      const svgUse = btn.querySelector('svg use');
-      if (!svgUse) return false;
-
-      const href = svgUse.getAttribute('href') || svgUse.getAttribute('xlink:href') || "";
-      return href === '#plyr-play' || href === '#plyr-pause';
-    });
+    const [key, code, keyCode] = keyMap[command];
 
-    if (playPauseButtons.length > 0) {
-      playPauseButtons[0].click();
-      return true;
-    }
+    // Find the video player element to focus, events sent to it bubble up to the document
+    const targetElement =
+      indexedVideos()[0] ||
+      document.querySelector('.plyr, .html5-video-player, .video-js') ||
+      document.querySelector('.plyr__controls, .ytp-chrome-controls, .vjs-control-bar') ||
+      document;
 
-    // Try direct video approach - third most reliable
-    const videos = document.querySelectorAll('video');
-    if (videos.length > 0) {
-      const video = videos[0];
-
-      // Toggle play state
-      if (video.paused) {
-        const playPromise = video.play();
-        if (playPromise !== undefined) {
-          playPromise.then(() => {
-          }).catch(error => {
-            console.error('Error playing video:', error);
-          });
-        }
-      } else {
-        video.pause();
-      }
-      return true;
+    if (targetElement !== document) {
+      targetElement.focus();
     }
 
-    // Only try keyboard as an absolute last resort, with better focus handling
-
-    // Try focused element approach first
-    const activeElement = document.activeElement;
-    if (activeElement && activeElement.tagName !== 'INPUT' && activeElement.tagName !== 'TEXTAREA') {
-      // Send space key to the active element if it's not a text field
-      const spaceEvent = new KeyboardEvent('keydown', {
-        key: ' ',
-        code: 'Space',
-        keyCode: 32,
-        which: 32,
-        bubbles: false,
-        cancelable: true
+    // Helper to create keyboard events
+    function createKeyboardEvent(type) {
+      return new KeyboardEvent(type, {
+        key: key,
+        code: code,
+        keyCode: keyCode,
+        which: keyCode,
+        bubbles: true,
+        cancelable: true,
+        view: window,
+        composed: true
       });
-
-      activeElement.dispatchEvent(spaceEvent);
-
-      setTimeout(() => {
-        const spaceUpEvent = new KeyboardEvent('keyup', {
-          key: ' ',
-          code: 'Space',
-          keyCode: 32,
-          which: 32,
-          bubbles: false,
-          cancelable: true
-        });
-
-        activeElement.dispatchEvent(spaceUpEvent);
-      }, 50);
-
-      return true;
     }
 
-    // Last resort - try K key
-    const kKeyDown = new KeyboardEvent('keydown', {
-      key: 'k',
-      code: 'KeyK',
-      keyCode: 75,
-      which: 75,
-      bubbles: false,
-      cancelable: true
-    });
-
-    const kKeyUp = new KeyboardEvent('keyup', {
-      key: 'k',
-      code: 'KeyK',
-      keyCode: 75,
-      which: 75,
-      bubbles: false,
-      cancelable: true
-    });
+    targetElement.dispatchEvent(createKeyboardEvent('keydown'));
 
-    document.dispatchEvent(kKeyDown);
+    // Short delay between keydown and keyup
     setTimeout(() => {
-      document.dispatchEvent(kKeyUp);
+      targetElement.dispatchEvent(createKeyboardEvent('keyup'));
     }, 50);
 
     return true;
   } catch (e) {
-    console.error('Error in play/pause fallback method:', e);
+    console.error('Error in keyboard method:', e);
     return false;
   }
 }
@@ -1205,7 +1640,6 @@ function tryButtonClick(button) {
   if (!button) return false;
 
   try {
-
     // First try the most direct method - focus and click
     button.focus();
 
@@ -1227,41 +1661,9 @@ function tryButtonClick(button) {
     // Then perform the direct click
     button.click();
 
-    // Also try clicking any SVG inside if present (some players listen to these)
-    const svg = button.querySelector('svg');
-    if (svg) {
-      try {
-        // Some SVG elements might not have a click method
-        if (typeof svg.click === 'function') {
-          svg.click();
-        } else {
-          // Trigger a click event on the SVG instead
-          svg.dispatchEvent(new MouseEvent('click', {
-            view: window,
-            bubbles: true,
-            cancelable: true,
-            composed: true
-          }));
-        }
-      } catch (e) {
-      }
-    }
-
-    // For play buttons, try setting aria-pressed attribute directly
-    // This can sometimes trigger UI updates when click events don't work
-    if (button.getAttribute('data-plyr') === 'play') {
-      const isPressed = button.getAttribute('aria-pressed') === 'true';
-      button.setAttribute('aria-pressed', !isPressed);
-
-      // Add/remove the pressed class which some players use
-      if (isPressed) {
-        button.classList.remove('plyr__control--pressed');
-      } else {
-        button.classList.add('plyr__control--pressed');
-      }
-    }
-
-
+    // Clicking the SVG inside as well, or faking aria-pressed, would bubble a second
+    // click to the same button and toggle it back, so a single click is all we do.
+    // The command engine checks the video afterwards to see whether it worked.
     return true;
   } catch (e) {
     console.error('Error clicking button:', e);
@@ -1271,23 +1673,50 @@ function tryButtonClick(button) {
 
 // Try to find a specific button with exact matches
 function findExactButton(command) {
+  // A selector from the site profile beats every guess
+  const profile = activeSiteProfile();
+  if (profile && profile.selectors[command]) {
+    const profileButton = queryProfileSelector(profile.selectors[command]);
+    if (profileButton) {
+      return profileButton;
+    }
+  }
+
   // Look specifically for buttons with data-plyr attribute
   const dataPlyrValue = {
     'play-pause': 'play',
     'rewind': 'rewind',
-    'fast-forward': 'fast-forward'
+    'fast-forward': 'fast-forward',
+    'toggle-mute': 'mute'
   }[command];
 
   if (!dataPlyrValue) return null;
 
+  // Media Chrome's controls are custom elements rather than buttons, often inside a player's shadow root
+  const mediaChromeTag = {
+    'play-pause': 'media-play-button',
+    'rewind': 'media-seek-backward-button',
+    'fast-forward': 'media-seek-forward-button',
+    'toggle-mute': 'media-mute-button'
+  }[command];
+  const mediaChromeButton = findIndexedButton(mediaChromeTag);
+  if (mediaChromeButton) {
+    return mediaChromeButton;
+  }
+
   // First, direct data-plyr attribute match (most reliable for Plyr)
-  const plyrButton = document.querySelector(`button[data-plyr="${dataPlyrValue}"]`);
+  const plyrButton = findIndexedButton(`button[data-plyr="${dataPlyrValue}"]`);
   if (plyrButton) {
     return plyrButton;
   }
 
+  // Video.js marks its mute button by class only
+  if (command === 'toggle-mute') {
+    return findIndexedButton('.vjs-mute-control');
+  }
+
   // Second, try to find by SVG use href
-  const allButtons = document.querySelectorAll('button');
+  const allButtons = indexedButtons();
   for (const btn of allButtons) {
     const svgUse = btn.querySelector('svg use');
     if (svgUse) {
@@ -1313,262 +1742,3 @@ function findExactButton(command) {
 
   return null;
 }
-
-// Track last time adjustment to prevent duplicates
-let lastTimeAdjustment = 0;
-
-// Helper function that simulates a SINGLE arrow key press
-function adjustVideoTime(video, adjustmentSeconds) {
-  // Instead of trying to adjust time directly, let's simulate a single key press event
-  try {
-    // Prevent multiple rapid adjustments
-    const now = Date.now();
-    if (now - lastTimeAdjustment < 400) {
-      return true; // Return true to prevent fallback methods
-    }
-
-    // Record this adjustment time
-    lastTimeAdjustment = now;
-
-    // Determine which key to press based on direction
-    const key = adjustmentSeconds > 0 ? 'ArrowRight' : 'ArrowLeft';
-    const keyCode = adjustmentSeconds > 0 ? 39 : 37;
-
-    // Create and dispatch a SINGLE keydown event
-    const keyDownEvent = new KeyboardEvent('keydown', {
-      key: key,
-      code: adjustmentSeconds > 0 ? 'ArrowRight' : 'ArrowLeft',
-      keyCode: keyCode,
-      which: keyCode,
-      bubbles: true,
-      cancelable: true,
-      view: window
-    });
-
-    // We'll focus the video element first if possible
-    if (video) {
-      video.focus();
-    }
-
-    // Send event to document (this is what most players detect)
-    document.dispatchEvent(keyDownEvent);
-
-    // Follow up with a keyup after a short delay
-    setTimeout(() => {
-      const keyUpEvent = new KeyboardEvent('keyup', {
-        key: key,
-        code: adjustmentSeconds > 0 ? 'ArrowRight' : 'ArrowLeft',
-        keyCode: keyCode,
-        which: keyCode,
-        bubbles: true,
-        cancelable: true,
-        view: window
-      });
-
-      document.dispatchEvent(keyUpEvent);
-    }, 50);
-
-    return true;
-  } catch (e) {
-    console.error('Error simulating key press:', e);
-    return false;
-  }
-}
-
-// Specialized function to ONLY find and click the forward button
-function clickOnlyForwardButton() {
-  try {
-    // Try finding buttons with the most common attributes for forward buttons
-    const possibleButtons = [];
-
-    // Try by aria-label (most reliable)
-    document.querySelectorAll('[aria-label*="forward"], [aria-label*="Forward"], [aria-label*="10s"], [aria-label*="+10"]').forEach(el => {
-      if (el.tagName === 'BUTTON' || el.role === 'button') {
-        possibleButtons.push(el);
-      }
-    });
-
-    // Try by title
-    document.querySelectorAll('[title*="forward"], [title*="Forward"], [title*="10s"], [title*="+10"]').forEach(el => {
-      if (el.tagName === 'BUTTON' || el.role === 'button') {
-        possibleButtons.push(el);
-      }
-    });
-
-    // Try by data attribute
-    document.querySelectorAll('[data-plyr="fast-forward"]').forEach(el => {
-      possibleButtons.push(el);
-    });
-
-    // Try by class
-    document.querySelectorAll('.plyr__controls__item--forward, .vjs-skip-forward-button, .forward-button, [class*="forward"]').forEach(el => {
-      if (el.tagName === 'BUTTON' || el.role === 'button') {
-        possibleButtons.push(el);
-      }
-    });
-
-    // Try by inner text/content
-    document.querySelectorAll('button').forEach(btn => {
-      const text = btn.textContent?.toLowerCase() || '';
-      const innerHtml = btn.innerHTML.toLowerCase();
-      if (text.includes('forward') || text.includes('+10') || innerHtml.includes('forward') || innerHtml.includes('+10')) {
-        possibleButtons.push(btn);
-      }
-    });
-
-    // Try SVG paths inside buttons
-    document.querySelectorAll('button svg').forEach(svg => {
-      const button = svg.closest('button');
-      if (button) {
-        // Get any title inside the SVG
-        const title = svg.querySelector('title');
-        if (title && (title.textContent.includes('forward') || title.textContent.includes('Forward'))) {
-          possibleButtons.push(button);
-        }
-
-        // Check SVG use elements
-        const use = svg.querySelector('use');
-        if (use) {
-          const href = use.getAttribute('href') || use.getAttribute('xlink:href') || '';
-          if (href.includes('forward') || href.includes('fast-forward')) {
-            possibleButtons.push(button);
-          }
-        }
-      }
-    });
-
-    // Deduplicate buttons
-    const uniqueButtons = Array.from(new Set(possibleButtons));
-
-    if (uniqueButtons.length > 0) {
-      // Try each button until one works
-      for (const button of uniqueButtons) {
-        try {
-          // Try multiple click events to ensure it triggers
-          button.dispatchEvent(new MouseEvent('mousedown', {
-            bubbles: true,
-            cancelable: true,
-            view: window
-          }));
-
-          button.dispatchEvent(new MouseEvent('mouseup', {
-            bubbles: true,
-            cancelable: true,
-            view: window
-          }));
-
-          button.click();
-          return true;
-        } catch (e) {
-          // Continue to the next button
-        }
-      }
-    }
-
-    // If we couldn't find any buttons, fall back to keyboard
-    return adjustVideoTime(null, 10);
-  } catch (e) {
-    console.error('Error in clickOnlyForwardButton:', e);
-    return false;
-  }
-}
-
-// Specialized function to ONLY find and click rewind button
-function clickOnlyRewindButton() {
-  try {
-    // Try finding buttons with the most common attributes for rewind buttons
-    const possibleButtons = [];
-
-    // Try by aria-label (most reliable)
-    document.querySelectorAll('[aria-label*="rewind"], [aria-label*="Rewind"], [aria-label*="back"], [aria-label*="Back"], [aria-label*="-10"], [aria-label*="previous"], [aria-label*="Previous"]').forEach(el => {
-      if (el.tagName === 'BUTTON' || el.role === 'button') {
-        possibleButtons.push(el);
-      }
-    });
-
-    // Try by title
-    document.querySelectorAll('[title*="rewind"], [title*="Rewind"], [title*="back"], [title*="Back"], [title*="-10"], [title*="previous"], [title*="Previous"]').forEach(el => {
-      if (el.tagName === 'BUTTON' || el.role === 'button') {
-        possibleButtons.push(el);
-      }
-    });
-
-    // Try by data attribute
-    document.querySelectorAll('[data-plyr="rewind"]').forEach(el => {
-      possibleButtons.push(el);
-    });
-
-    // Try by class
-    document.querySelectorAll('.plyr__controls__item--rewind, .vjs-skip-backward-button, .backward-button, .rewind-button, [class*="rewind"], [class*="back"]').forEach(el => {
-      if (el.tagName === 'BUTTON' || el.role === 'button') {
-        possibleButtons.push(el);
-      }
-    });
-
-    // Try by inner text/content
-    document.querySelectorAll('button').forEach(btn => {
-      const text = btn.textContent?.toLowerCase() || '';
-      const innerHtml = btn.innerHTML.toLowerCase();
-      if (text.includes('rewind') || text.includes('back') || text.includes('-10') ||
-        innerHtml.includes('rewind') || innerHtml.includes('back') || innerHtml.includes('-10')) {
-        possibleButtons.push(btn);
-      }
-    });
-
-    // Try SVG paths inside buttons
-    document.querySelectorAll('button svg').forEach(svg => {
-      const button = svg.closest('button');
-      if (button) {
-        // Get any title inside the SVG
-        const title = svg.querySelector('title');
-        if (title && (title.textContent.includes('rewind') || title.textContent.includes('Rewind') ||
-          title.textContent.includes('back') || title.textContent.includes('Back'))) {
-          possibleButtons.push(button);
-        }
-
-        // Check SVG use elements
-        const use = svg.querySelector('use');
-        if (use) {
-          const href = use.getAttribute('href') || use.getAttribute('xlink:href') || '';
-          if (href.includes('rewind') || href.includes('back')) {
-            possibleButtons.push(button);
-          }
-        }
-      }
-    });
-
-    // Deduplicate buttons
-    const uniqueButtons = Array.from(new Set(possibleButtons));
-
-    if (uniqueButtons.length > 0) {
-      // Try each button until one works
-      for (const button of uniqueButtons) {
-        try {
-          // Try multiple click events to ensure it triggers
-          button.dispatchEvent(new MouseEvent('mousedown', {
-            bubbles: true,
-            cancelable: true,
-            view: window
-          }));
-
-          button.dispatchEvent(new MouseEvent('mouseup', {
-            bubbles: true,
-            cancelable: true,
-            view: window
-          }));
-
-          button.click();
-          return true;
-        } catch (e) {
-          // Continue to the next button
-        }
-      }
-    }
-
-    // If we couldn't find any buttons, fall back to keyboard
-    return adjustVideoTime(null, -10);
-  } catch (e) {
-    console.error('Error in clickOnlyRewindButton:', e);
-    return false;
-  }
-} 
\ No newline at end of file
@@ -0,0 +1,75 @@
+// Deep queries.
+// document.querySelectorAll() stops at shadow roots, so it never sees the video or the controls
+// of web-component players like Media Chrome's <media-controller> or <mux-player>. These helpers
+// also look inside every open shadow root (closed ones can't be reached from outside).
+
+// The open shadow roots inside a document, shadow root or element, nested ones included
+function collectOpenShadowRoots(root) {
+  const shadowRoots = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+
+  for (let node = walker.currentNode; node; node = walker.nextNode()) {
+    if (node.shadowRoot) {
+      shadowRoots.push(node.shadowRoot, ...collectOpenShadowRoots(node.shadowRoot));
+    }
+  }
+
+  return shadowRoots;
+}
+
+// querySelectorAll() that also searches open shadow roots, light DOM matches first
+function deepQuerySelectorAll(selector, root = document) {
+  return [root, ...collectOpenShadowRoots(root)]
+    .flatMap(scope => Array.from(scope.querySelectorAll(selector)));
+}
+
+// querySelector() that also searches open shadow roots
+function deepQuerySelector(selector, root = document) {
+  const match = root.querySelector(selector);
+  if (match) {
+    return match;
+  }
+
+  for (const shadowRoot of collectOpenShadowRoots(root)) {
+    const shadowMatch = shadowRoot.querySelector(selector);
+    if (shadowMatch) {
+      return shadowMatch;
+    }
+  }
+
+  return null;
+}
+
+// closest() along the composed tree, the way events travel: a slotted element goes on to its
+// slot, an element at the top of a shadow root to the element hosting it
+function deepClosest(element, selector) {
+  for (let current = element; current; current = composedParent(current)) {
+    if (current.matches(selector)) {
+      return current;
+    }
+  }
+
+  return null;
+}
+
+// An element's parent in the composed tree
+function composedParent(element) {
+  if (element.assignedSlot) {
+    return element.assignedSlot;
+  }
+  if (element.parentNode instanceof ShadowRoot) {
+    return element.parentNode.host;
+  }
+  return element.parentElement;
+}
+
+// contains() that also looks inside the open shadow roots below an element
+function deepContains(ancestor, element) {
+  for (let node = element; node; node = node.parentNode instanceof ShadowRoot ? node.parentNode.host : node.parentNode) {
+    if (node === ancestor) {
+      return true;
+    }
+  }
+
+  return false;
+}
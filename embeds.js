@@ -0,0 +1,356 @@
+// Embedded YouTube and Vimeo players.
+// The extension normally runs inside an embed's own frame and controls its video there, but when
+// it can't (its site access may be limited to the course site) the page around the embed drives
+// the player through the postMessage protocols YouTube and Vimeo publish for their embeds.
+// YouTube only answers embeds whose URL has enablejsapi=1. Each embed keeps a copy of the
+// player's state, shaped like an adapter's getState(), updated from the events the player sends.
+
+// How long (ms) to wait for a newly found embed to answer before giving up on it
+const EMBED_READY_TIMEOUT = 1500;
+
+// How often (ms) to greet an embed again while it hasn't answered
+const EMBED_GREET_INTERVAL = 250;
+
+// Embeds that have been greeted, by iframe
+const embedPlayers = new Map();
+
+// Functions called with an embed whenever its state changes, the popup remote adds one
+const embedStateListeners = new Set();
+
+// Counter giving each YouTube embed the id its messages are tagged with
+let embedCounter = 0;
+
+// The YouTube IFrame API protocol: JSON strings tagged with the "widget" channel. "listening"
+// asks the player to send its state, as infoDelivery messages whenever it changes.
+const youtubeEmbedProvider = {
+  name: 'youtube',
+  label: 'YouTube embed',
+
+  matches(url) {
+    return /(^|\.)youtube(-nocookie)?\.com$/.test(url.hostname) &&
+      url.pathname.startsWith('/embed/') &&
+      url.searchParams.get('enablejsapi') === '1';
+  },
+
+  post(embed, message) {
+    const tagged = Object.assign({ id: embed.id, channel: 'widget' }, message);
+    embed.iframe.contentWindow.postMessage(JSON.stringify(tagged), embed.origin);
+  },
+
+  command(embed, func, args) {
+    this.post(embed, { event: 'command', func: func, args: args || [] });
+  },
+
+  greet(embed) {
+    this.post(embed, { event: 'listening' });
+  },
+
+  // Returns true when the message was one of the player's
+  receive(embed, data) {
+    const message = typeof data === 'string' ? parseEmbedMessage(data) : data;
+    if (!message || !message.event) {
+      return false;
+    }
+
+    if (message.event === 'onStateChange') {
+      applyYouTubeInfo(embed, { playerState: message.info });
+    } else if (message.event === 'onPlaybackRateChange') {
+      applyYouTubeInfo(embed, { playbackRate: message.info });
+    } else if (message.info && typeof message.info === 'object') {
+      // onReady, initialDelivery and infoDelivery carry (part of) the player's state
+      applyYouTubeInfo(embed, message.info);
+    } else if (message.event !== 'onReady') {
+      return false;
+    }
+    return true;
+  },
+
+  play(embed) {
+    this.command(embed, 'playVideo');
+  },
+
+  pause(embed) {
+    this.command(embed, 'pauseVideo');
+  },
+
+  seekTo(embed, time) {
+    this.command(embed, 'seekTo', [time, true]);
+  },
+
+  setRate(embed, rate) {
+    this.command(embed, 'setPlaybackRate', [rate]);
+  },
+
+  setVolume(embed, volume) {
+    this.command(embed, 'setVolume', [Math.round(volume * 100)]);
+  },
+
+  setMuted(embed, muted) {
+    this.command(embed, muted ? 'mute' : 'unMute');
+  }
+};
+
+// Copy the fields of a YouTube info object into an embed's state. Player states:
+// -1 unstarted, 0 ended, 1 playing, 2 paused, 3 buffering, 5 cued.
+function applyYouTubeInfo(embed, info) {
+  const state = embed.state;
+  if (typeof info.playerState === 'number') {
+    state.paused = info.playerState !== 1 && info.playerState !== 3;
+  }
+  if (typeof info.currentTime === 'number') {
+    state.currentTime = info.currentTime;
+  }
+  if (typeof info.duration === 'number') {
+    state.duration = info.duration;
+  }
+  if (typeof info.playbackRate === 'number') {
+    state.playbackRate = info.playbackRate;
+  }
+  if (typeof info.volume === 'number') {
+    state.volume = info.volume / 100;
+  }
+  if (typeof info.muted === 'boolean') {
+    state.muted = info.muted;
+  }
+}
+
+// The Vimeo player protocol: { method, value } objects in, { event, data } events and
+// { method, value } getter replies out. "ping" makes a loaded player announce "ready".
+const vimeoEmbedProvider = {
+  name: 'vimeo',
+  label: 'Vimeo embed',
+
+  // Events that change the copied state, and the getters that fill it in once the player is ready
+  events: ['play', 'playing', 'pause', 'ended', 'timeupdate', 'seeked', 'durationchange', 'volumechange', 'playbackratechange'],
+  getters: ['getPaused', 'getCurrentTime', 'getDuration', 'getPlaybackRate', 'getVolume', 'getMuted'],
+
+  matches(url) {
+    return url.hostname === 'player.vimeo.com' && url.pathname.startsWith('/video/');
+  },
+
+  post(embed, method, value) {
+    const message = value === undefined ? { method: method } : { method: method, value: value };
+    embed.iframe.contentWindow.postMessage(message, embed.origin);
+  },
+
+  greet(embed) {
+    this.post(embed, 'ping');
+  },
+
+  receive(embed, data) {
+    const message = typeof data === 'string' ? parseEmbedMessage(data) : data;
+    if (!message || (!message.event && !message.method)) {
+      return false;
+    }
+
+    const state = embed.state;
+    const eventData = message.data || {};
+
+    switch (message.event) {
+      case 'ready':
+        this.events.forEach(event => this.post(embed, 'addEventListener', event));
+        this.getters.forEach(getter => this.post(embed, getter));
+        break;
+      case 'play':
+      case 'playing':
+        state.paused = false;
+        break;
+      case 'pause':
+      case 'ended':
+        state.paused = true;
+        break;
+      case 'timeupdate':
+      case 'seeked':
+      case 'durationchange':
+        if (typeof eventData.seconds === 'number') {
+          state.currentTime = eventData.seconds;
+        }
+        if (typeof eventData.duration === 'number') {
+          state.duration = eventData.duration;
+        }
+        break;
+      case 'volumechange':
+        if (typeof eventData.volume === 'number') {
+          state.volume = eventData.volume;
+        }
+        // The event doesn't say whether the player is muted
+        this.post(embed, 'getMuted');
+        break;
+      case 'playbackratechange':
+        if (typeof eventData.playbackRate === 'number') {
+          state.playbackRate = eventData.playbackRate;
+        }
+        break;
+    }
+
+    switch (message.method) {
+      case 'getPaused':
+        state.paused = message.value;
+        break;
+      case 'getCurrentTime':
+        state.currentTime = message.value;
+        break;
+      case 'getDuration':
+        state.duration = message.value;
+        break;
+      case 'getPlaybackRate':
+        state.playbackRate = message.value;
+        break;
+      case 'getVolume':
+        state.volume = message.value;
+        break;
+      case 'getMuted':
+        state.muted = message.value;
+        break;
+    }
+    return true;
+  },
+
+  play(embed) {
+    this.post(embed, 'play');
+  },
+
+  pause(embed) {
+    this.post(embed, 'pause');
+  },
+
+  seekTo(embed, time) {
+    this.post(embed, 'setCurrentTime', time);
+  },
+
+  setRate(embed, rate) {
+    this.post(embed, 'setPlaybackRate', rate);
+  },
+
+  setVolume(embed, volume) {
+    this.post(embed, 'setVolume', volume);
+  },
+
+  setMuted(embed, muted) {
+    this.post(embed, 'setMuted', muted);
+  }
+};
+
+const EMBED_PROVIDERS = [youtubeEmbedProvider, vimeoEmbedProvider];
+
+// Parse a JSON message, null for messages that aren't JSON
+function parseEmbedMessage(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Find the controllable embeds in this frame, greeting the ones not seen before.
+// An iframe that navigated to another video is greeted again as a new embed.
+function findEmbeds() {
+  for (const [iframe, embed] of embedPlayers) {
+    if (!iframe.isConnected || iframe.src !== embed.src) {
+      embedPlayers.delete(iframe);
+    }
+  }
+
+  for (const iframe of document.querySelectorAll('iframe[src]')) {
+    if (embedPlayers.has(iframe) || !iframe.contentWindow) {
+      continue;
+    }
+
+    let url;
+    try {
+      url = new URL(iframe.src);
+    } catch (e) {
+      continue;
+    }
+
+    const provider = EMBED_PROVIDERS.find(candidate => candidate.matches(url));
+    if (provider) {
+      embedPlayers.set(iframe, connectEmbed(iframe, provider, url));
+    }
+  }
+
+  return Array.from(embedPlayers.values());
+}
+
+// Start talking to an embed
+function connectEmbed(iframe, provider, url) {
+  const embed = {
+    iframe: iframe,
+    src: iframe.src,
+    origin: url.origin,
+    provider: provider,
+    id: ++embedCounter,
+    ready: false,
+    state: { paused: true, currentTime: 0, duration: 0, playbackRate: 1, volume: 1, muted: false }
+  };
+
+  provider.greet(embed);
+  return embed;
+}
+
+// Resolve true once an embed's player has answered, greeting it again while it is silent
+// (a player still loading misses the greeting), or false if it stays silent
+function whenEmbedReady(embed) {
+  return new Promise((resolve) => {
+    const deadline = Date.now() + EMBED_READY_TIMEOUT;
+
+    const poll = () => {
+      if (embed.ready || Date.now() >= deadline) {
+        resolve(embed.ready);
+        return;
+      }
+      embed.provider.greet(embed);
+      setTimeout(poll, EMBED_GREET_INTERVAL);
+    };
+
+    poll();
+  });
+}
+
+// Pick the embed commands go to: a playing one, else the largest one on screen
+function findMainEmbed() {
+  const embeds = findEmbeds().filter((embed) => {
+    const rect = embed.iframe.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  });
+
+  const area = (embed) => {
+    const rect = embed.iframe.getBoundingClientRect();
+    return rect.width * rect.height;
+  };
+
+  return embeds.find(embed => embed.ready && !embed.state.paused) ||
+    embeds.sort((a, b) => area(b) - area(a))[0] ||
+    null;
+}
+
+// An embed's state for the popup remote, shaped like an adapter's getState()
+function getEmbedState(embed) {
+  return Object.assign({
+    adapter: embed.provider.name,
+    adapterLabel: embed.provider.label
+  }, embed.state);
+}
+
+// Route the players' messages to their embeds
+window.addEventListener('message', (event) => {
+  for (const embed of embedPlayers.values()) {
+    if (event.source !== embed.iframe.contentWindow || event.origin !== embed.origin) {
+      continue;
+    }
+
+    if (embed.provider.receive(embed, event.data)) {
+      embed.ready = true;
+      embedStateListeners.forEach(listener => listener(embed));
+    }
+    return;
+  }
+});
+
+// A reloaded embed has forgotten the greeting, so say hello again
+document.addEventListener('load', (event) => {
+  const embed = embedPlayers.get(event.target);
+  if (embed && event.target.src === embed.src) {
+    embed.provider.greet(embed);
+  }
+}, true);
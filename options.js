@@ -0,0 +1,308 @@
+// Script for the options page, every change is saved to the shared settings store right away
+
+// What each command engine strategy does, shown next to it in the list
+const STRATEGY_DESCRIPTIONS = {
+  adapter: 'Player adapter (Plyr, YouTube, Video.js, MediaElement.js, HTML5 video)',
+  buttons: 'Click the player\'s own control buttons',
+  keyboard: 'Simulate the player\'s keyboard shortcuts'
+};
+
+document.addEventListener('DOMContentLoaded', function () {
+  loadSettings().then(renderSettings);
+
+  // Keep the page current when settings change in the popup or on another machine
+  onSettingsChanged(renderSettings);
+
+  document.querySelectorAll('[data-setting]').forEach(function (input) {
+    input.addEventListener('change', function () {
+      const value = input.type === 'checkbox' ? input.checked : parseFloat(input.value);
+      updateSettings({ [input.dataset.setting]: value });
+    });
+  });
+
+  document.getElementById('reset-settings').addEventListener('click', function () {
+    updateSettings(normalizeSettings({}));
+  });
+
+  bindSiteProfileActions();
+
+  renderResumeCount();
+  document.getElementById('clear-positions').addEventListener('click', function () {
+    clearResumePositions()
+      .then(function () {
+        renderResumeCount();
+        showStatus('Cleared all saved positions.');
+      })
+      .catch(function (error) {
+        showStatus(`Could not clear positions: ${error.message}`);
+      });
+  });
+});
+
+// Function to fill the form from the settings
+function renderSettings(settings) {
+  document.querySelectorAll('[data-setting]').forEach(function (input) {
+    const value = settings[input.dataset.setting];
+    if (input.type === 'checkbox') {
+      input.checked = value;
+    } else {
+      input.value = value;
+    }
+  });
+
+  renderStrategyOrder(settings.strategyOrder);
+  renderSiteProfiles(settings.siteProfiles);
+}
+
+// Function to list the strategies, enabled ones first in their order, then the disabled ones
+function renderStrategyOrder(strategyOrder) {
+  const list = document.getElementById('strategy-order');
+  list.textContent = '';
+
+  const disabled = CONTROL_STRATEGY_NAMES.filter(name => !strategyOrder.includes(name));
+
+  strategyOrder.concat(disabled).forEach(function (name) {
+    const item = document.createElement('li');
+    item.dataset.strategy = name;
+    item.classList.toggle('disabled', !strategyOrder.includes(name));
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = strategyOrder.includes(name);
+    checkbox.addEventListener('change', saveStrategyOrder);
+
+    const label = document.createElement('span');
+    label.textContent = STRATEGY_DESCRIPTIONS[name] || name;
+
+    const upButton = document.createElement('button');
+    upButton.textContent = 'Up';
+    upButton.addEventListener('click', function () {
+      if (item.previousElementSibling) {
+        list.insertBefore(item, item.previousElementSibling);
+        saveStrategyOrder();
+      }
+    });
+
+    const downButton = document.createElement('button');
+    downButton.textContent = 'Down';
+    downButton.addEventListener('click', function () {
+      if (item.nextElementSibling) {
+        list.insertBefore(item.nextElementSibling, item);
+        saveStrategyOrder();
+      }
+    });
+
+    item.append(checkbox, label, upButton, downButton);
+    list.appendChild(item);
+  });
+}
+
+// Function to save the checked strategies in the order they are listed
+function saveStrategyOrder() {
+  const strategyOrder = Array.from(document.querySelectorAll('#strategy-order li'))
+    .filter(item => item.querySelector('input').checked)
+    .map(item => item.dataset.strategy);
+
+  updateSettings({ strategyOrder: strategyOrder });
+}
+
+// Labels for the selector fields of a site profile
+const PROFILE_SELECTOR_LABELS = {
+  'controls': 'Control bar',
+  'play-pause': 'Play/pause button',
+  'rewind': 'Rewind button',
+  'fast-forward': 'Forward button',
+  'chapters': 'Chapter list item'
+};
+
+// Function to show one editable card per site profile
+function renderSiteProfiles(siteProfiles) {
+  const container = document.getElementById('site-profiles');
+  container.textContent = '';
+
+  siteProfiles.forEach(function (profile) {
+    const card = document.createElement('div');
+    card.className = 'profile';
+
+    card.append(
+      createProfileField('Name', 'name', profile.name),
+      createProfileField('Host pattern', 'hostPattern', profile.hostPattern)
+    );
+
+    PROFILE_SELECTOR_KEYS.forEach(function (key) {
+      card.appendChild(createProfileField(`${PROFILE_SELECTOR_LABELS[key]} selector`, `selector:${key}`, profile.selectors[key] || ''));
+    });
+
+    const strategyField = createProfileField('Strategy order', 'strategyOrder', profile.strategyOrder ? profile.strategyOrder.join(', ') : '');
+    strategyField.querySelector('input').placeholder = CONTROL_STRATEGY_NAMES.join(', ');
+    card.appendChild(strategyField);
+
+    const positionalField = document.createElement('div');
+    positionalField.className = 'setting';
+    const positionalLabel = document.createElement('label');
+    positionalLabel.textContent = 'Allow guessing buttons by their position:';
+    const positionalCheckbox = document.createElement('input');
+    positionalCheckbox.type = 'checkbox';
+    positionalCheckbox.dataset.profileField = 'allowPositional';
+    positionalCheckbox.checked = profile.allowPositional;
+    positionalLabel.prepend(positionalCheckbox);
+    positionalField.appendChild(positionalLabel);
+    card.appendChild(positionalField);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete profile';
+    deleteButton.addEventListener('click', function () {
+      card.remove();
+      saveSiteProfiles();
+    });
+    card.appendChild(deleteButton);
+
+    card.addEventListener('change', saveSiteProfiles);
+    container.appendChild(card);
+  });
+}
+
+// Function to create a labelled text field of a site profile card
+function createProfileField(labelText, fieldName, value) {
+  const field = document.createElement('div');
+  field.className = 'setting';
+
+  const label = document.createElement('label');
+  label.textContent = `${labelText}:`;
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = value;
+  input.dataset.profileField = fieldName;
+
+  field.append(label, input);
+  return field;
+}
+
+// Function to read the site profiles back from their cards
+function readSiteProfiles() {
+  return Array.from(document.querySelectorAll('#site-profiles .profile')).map(function (card) {
+    const profile = { selectors: {} };
+
+    card.querySelectorAll('[data-profile-field]').forEach(function (input) {
+      const fieldName = input.dataset.profileField;
+
+      if (fieldName.startsWith('selector:')) {
+        profile.selectors[fieldName.slice('selector:'.length)] = input.value;
+      } else if (fieldName === 'strategyOrder') {
+        const names = input.value.split(',').map(name => name.trim()).filter(Boolean);
+        profile.strategyOrder = names.length > 0 ? names : null;
+      } else if (input.type === 'checkbox') {
+        profile[fieldName] = input.checked;
+      } else {
+        profile[fieldName] = input.value;
+      }
+    });
+
+    return profile;
+  });
+}
+
+// Function to save the site profiles as they are shown
+function saveSiteProfiles() {
+  updateSettings({ siteProfiles: readSiteProfiles() });
+}
+
+// Function to wire up adding, exporting and importing site profiles
+function bindSiteProfileActions() {
+  const hostInput = document.getElementById('new-profile-host');
+
+  document.getElementById('add-profile').addEventListener('click', function () {
+    if (!hostInput.value.trim()) {
+      hostInput.focus();
+      return;
+    }
+
+    updateSettings({ siteProfiles: readSiteProfiles().concat({ hostPattern: hostInput.value }) });
+    hostInput.value = '';
+  });
+
+  document.getElementById('export-profiles').addEventListener('click', function () {
+    loadSettings().then(function (settings) {
+      const json = JSON.stringify({ siteProfiles: settings.siteProfiles }, null, 2);
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      link.download = 'video-control-profiles.json';
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    });
+  });
+
+  const importFile = document.getElementById('import-file');
+
+  document.getElementById('import-profiles').addEventListener('click', function () {
+    importFile.click();
+  });
+
+  importFile.addEventListener('change', function () {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) {
+      return;
+    }
+
+    file.text()
+      .then(function (text) {
+        importSiteProfiles(JSON.parse(text));
+      })
+      .catch(function (error) {
+        showStatus(`Could not import: ${error.message}`);
+      });
+  });
+}
+
+// Function to merge imported profiles in, replacing existing profiles with the same host pattern.
+// Accepts an exported file ({ siteProfiles: [...] }) or a bare array of profiles.
+function importSiteProfiles(data) {
+  const imported = (Array.isArray(data) ? data : (data && data.siteProfiles) || [])
+    .map(normalizeSiteProfile)
+    .filter(Boolean);
+
+  if (imported.length === 0) {
+    showStatus('No profiles found in that file.');
+    return;
+  }
+
+  loadSettings().then(function (settings) {
+    const importedPatterns = imported.map(profile => profile.hostPattern);
+    const kept = settings.siteProfiles.filter(profile => !importedPatterns.includes(profile.hostPattern));
+
+    updateSettings({ siteProfiles: kept.concat(imported) }, `Imported ${imported.length} profile(s).`);
+  });
+}
+
+// Function to show how many lessons have a saved position
+function renderResumeCount() {
+  countResumePositions().then(function (count) {
+    document.getElementById('resume-count').textContent =
+      count === 0 ? 'No saved positions.' : `${count} lesson(s) with a saved position.`;
+  });
+}
+
+// Function to save changes and briefly confirm it
+function updateSettings(changes, message) {
+  saveSettings(changes)
+    .then(function (settings) {
+      renderSettings(settings);
+      showStatus(message || 'Saved.');
+    })
+    .catch(function (error) {
+      showStatus(`Could not save: ${describeStorageError(error)}`);
+    });
+}
+
+// Function to show a short status message under the form
+function showStatus(message) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  setTimeout(() => {
+    if (status.textContent === message) {
+      status.textContent = '';
+    }
+  }, 2500);
+}
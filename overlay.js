@@ -0,0 +1,272 @@
+// On-screen display.
+// Draws a short message ("-10s → 12:34", "1.75x", "Paused") over the controlled video
+// after each command, the small input some commands ask for (go to time) and buttons
+// the page offers on its own (resume where you left off), plus captions drawn in the
+// user's style when the caption style override is on.
+// It lives in a closed shadow root so page CSS can't restyle or hide it.
+
+// How long a message stays on screen (ms)
+const OVERLAY_DURATION = 1200;
+
+// The overlay's host element and the label and prompt inside its shadow root, created on first use
+let overlayHost = null;
+let overlayLabel = null;
+let overlayPrompt = null;
+let overlayAction = null;
+let overlayHideTimer = null;
+let overlayActionTimer = null;
+
+// Host and text of the caption box, created the first time the caption override draws a cue
+let captionHost = null;
+let captionText = null;
+
+// The open prompt's submit handler and the element that had focus before it opened, or null
+let activeOverlayPrompt = null;
+
+// Create the host element and its shadow root
+function createOverlay() {
+  overlayHost = document.createElement('div');
+  overlayHost.style.cssText = 'all: initial; position: fixed; z-index: 2147483647; pointer-events: none;';
+
+  const shadow = overlayHost.attachShadow({ mode: 'closed' });
+  shadow.innerHTML = `
+    <style>
+      .label {
+        transform: translateX(-50%);
+        padding: 8px 16px;
+        border-radius: 6px;
+        background: rgba(0, 0, 0, 0.75);
+        color: #fff;
+        font: bold 20px/1.2 Arial, sans-serif;
+        white-space: nowrap;
+        opacity: 0;
+        transition: opacity 0.2s;
+      }
+      .label.visible {
+        opacity: 1;
+      }
+      .prompt {
+        display: none;
+        transform: translateX(-50%);
+        margin-top: 8px;
+        pointer-events: auto;
+      }
+      .prompt.visible {
+        display: block;
+      }
+      .action {
+        display: none;
+        transform: translateX(-50%);
+        margin-top: 8px;
+        padding: 8px 16px;
+        border: none;
+        border-radius: 6px;
+        background: #4285f4;
+        color: #fff;
+        font: bold 16px Arial, sans-serif;
+        white-space: nowrap;
+        cursor: pointer;
+        pointer-events: auto;
+      }
+      .action.visible {
+        display: block;
+      }
+      .prompt input {
+        width: 220px;
+        padding: 8px 12px;
+        border: 2px solid #4285f4;
+        border-radius: 6px;
+        background: rgba(0, 0, 0, 0.85);
+        color: #fff;
+        font: 18px Arial, sans-serif;
+        outline: none;
+      }
+    </style>
+    <div class="label"></div>
+    <form class="prompt"><input type="text" autocomplete="off" spellcheck="false" /></form>
+    <button class="action"></button>
+  `;
+  overlayLabel = shadow.querySelector('.label');
+  overlayPrompt = shadow.querySelector('.prompt');
+  overlayAction = shadow.querySelector('.action');
+
+  const input = overlayPrompt.querySelector('input');
+
+  overlayPrompt.addEventListener('submit', (event) => {
+    event.preventDefault();
+    if (activeOverlayPrompt && activeOverlayPrompt.onSubmit(input.value)) {
+      closeOverlayPrompt();
+    }
+  });
+
+  // Keep what the user types away from the page's own shortcuts (space, arrows, k, m)
+  ['keydown', 'keyup', 'keypress'].forEach(eventType => {
+    overlayPrompt.addEventListener(eventType, (event) => {
+      event.stopPropagation();
+      if (eventType === 'keydown' && event.key === 'Escape') {
+        closeOverlayPrompt();
+      }
+    });
+  });
+
+  // Clicking anywhere else cancels
+  input.addEventListener('blur', closeOverlayPrompt);
+}
+
+// Put an overlay element where it will be drawn. In fullscreen only the fullscreen element is
+// drawn, so it has to live inside it. A bare <video> in fullscreen can't hold other elements,
+// nothing can be drawn over it then.
+function attachToOverlayContainer(host) {
+  const fullscreenElement = document.fullscreenElement;
+  const container = fullscreenElement && fullscreenElement.tagName !== 'VIDEO'
+    ? fullscreenElement
+    : document.documentElement;
+  if (host.parentNode !== container) {
+    container.appendChild(host);
+  }
+}
+
+// Place the overlay over a video, or in the middle of the page when there is no video
+function positionOverlay(video) {
+  if (!overlayHost) {
+    createOverlay();
+  }
+
+  attachToOverlayContainer(overlayHost);
+
+  // Near the top of the video, but always on screen
+  const rect = video
+    ? video.getBoundingClientRect()
+    : { top: 0, left: 0, width: window.innerWidth, height: window.innerHeight };
+  const top = Math.min(Math.max(rect.top + rect.height * 0.1, 10), window.innerHeight - 100);
+  const left = Math.min(Math.max(rect.left + rect.width / 2, 10), window.innerWidth - 10);
+
+  overlayHost.style.top = `${top}px`;
+  overlayHost.style.left = `${left}px`;
+}
+
+// Show a message over a video, or in the middle of the page when there is no video
+function showOverlay(video, text) {
+  // An open prompt stays where it is, the message appears above it
+  if (!activeOverlayPrompt) {
+    positionOverlay(video);
+  }
+
+  overlayLabel.textContent = text;
+  overlayLabel.classList.add('visible');
+
+  clearTimeout(overlayHideTimer);
+  overlayHideTimer = setTimeout(() => {
+    overlayLabel.classList.remove('visible');
+  }, OVERLAY_DURATION);
+}
+
+// Open a text input over a video. onSubmit gets the text and returns true to close the input,
+// or false to keep it open (after showing what was wrong). Escape or clicking away cancels.
+function showOverlayPrompt(video, placeholder, onSubmit) {
+  positionOverlay(video);
+
+  const input = overlayPrompt.querySelector('input');
+
+  activeOverlayPrompt = {
+    onSubmit: onSubmit,
+    previousFocus: activeOverlayPrompt ? activeOverlayPrompt.previousFocus : document.activeElement
+  };
+
+  input.placeholder = placeholder;
+  input.value = '';
+  overlayPrompt.classList.add('visible');
+  input.focus();
+}
+
+// Offer a button over a video for a while, onClick runs if the user clicks it in time
+function showOverlayAction(video, text, duration, onClick) {
+  if (!activeOverlayPrompt) {
+    positionOverlay(video);
+  }
+
+  overlayAction.textContent = text;
+  overlayAction.onclick = () => {
+    hideOverlayAction();
+    onClick();
+  };
+  overlayAction.classList.add('visible');
+
+  clearTimeout(overlayActionTimer);
+  overlayActionTimer = setTimeout(hideOverlayAction, duration);
+}
+
+// Take the offered button away
+function hideOverlayAction() {
+  if (overlayAction) {
+    clearTimeout(overlayActionTimer);
+    overlayAction.onclick = null;
+    overlayAction.classList.remove('visible');
+  }
+}
+
+// Close the prompt and give focus back to whatever had it, usually the player
+function closeOverlayPrompt() {
+  if (!activeOverlayPrompt) {
+    return;
+  }
+
+  const previousFocus = activeOverlayPrompt.previousFocus;
+  activeOverlayPrompt = null;
+  overlayPrompt.classList.remove('visible');
+
+  if (previousFocus && previousFocus.focus) {
+    previousFocus.focus();
+  }
+}
+
+// Draw caption text over a video. style is { size (px), background (opacity, 0-100),
+// position (percent of the video's height above its bottom edge) }.
+function showCaptionText(video, text, style) {
+  if (!captionHost) {
+    captionHost = document.createElement('div');
+    captionHost.style.cssText = 'all: initial; position: fixed; z-index: 2147483646; pointer-events: none;';
+
+    const shadow = captionHost.attachShadow({ mode: 'closed' });
+    shadow.innerHTML = `
+      <style>
+        .caption {
+          transform: translate(-50%, -100%);
+          max-width: 80vw;
+          padding: 4px 10px;
+          border-radius: 4px;
+          color: #fff;
+          font-family: Arial, sans-serif;
+          line-height: 1.3;
+          text-align: center;
+          white-space: pre-line;
+        }
+      </style>
+      <div class="caption"></div>
+    `;
+    captionText = shadow.querySelector('.caption');
+  }
+
+  if (!text) {
+    hideCaptionText();
+    return;
+  }
+
+  attachToOverlayContainer(captionHost);
+
+  const rect = video.getBoundingClientRect();
+  captionHost.style.left = `${rect.left + rect.width / 2}px`;
+  captionHost.style.top = `${rect.bottom - rect.height * style.position / 100}px`;
+  captionHost.style.display = 'block';
+
+  captionText.textContent = text;
+  captionText.style.fontSize = `${style.size}px`;
+  captionText.style.background = `rgba(0, 0, 0, ${style.background / 100})`;
+}
+
+// Take the caption text away
+function hideCaptionText() {
+  if (captionHost) {
+    captionHost.style.display = 'none';
+  }
+}
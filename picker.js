@@ -0,0 +1,267 @@
+// Button picker ("teach" mode).
+// Started from the popup: highlights the element under the cursor, and when the user clicks
+// the real button for a command, saves a stable selector for it in this site's profile.
+// findExactButton tries these selectors before any of its heuristics.
+
+// Names shown in the picker banner
+const PICKER_COMMAND_LABELS = {
+  'play-pause': 'Play/Pause',
+  'rewind': 'Rewind',
+  'fast-forward': 'Forward'
+};
+
+// Z-index above nearly every page element, including fullscreen player chrome
+const PICKER_Z_INDEX = 2147483647;
+
+// The running picker, or null
+let activePicker = null;
+
+// Start picking the button for a command, replacing a picker that is already running
+function startButtonPicker(command) {
+  if (!PICKER_COMMAND_LABELS[command]) {
+    return false;
+  }
+
+  stopButtonPicker();
+
+  const highlight = document.createElement('div');
+  highlight.style.cssText =
+    `position: fixed; z-index: ${PICKER_Z_INDEX}; pointer-events: none; display: none;` +
+    'border: 2px solid #e8590c; background: rgba(232, 89, 12, 0.15); border-radius: 3px;';
+
+  const banner = document.createElement('div');
+  banner.style.cssText =
+    `position: fixed; z-index: ${PICKER_Z_INDEX}; top: 12px; left: 50%; transform: translateX(-50%);` +
+    'padding: 8px 14px; border-radius: 4px; background: #333; color: #fff;' +
+    'font: 14px Arial, sans-serif; pointer-events: none;';
+  banner.textContent = `Click the ${PICKER_COMMAND_LABELS[command]} button (Esc to cancel)`;
+
+  document.documentElement.append(highlight, banner);
+
+  activePicker = { command: command, highlight: highlight, banner: banner };
+
+  window.addEventListener('mouseover', onPickerHover, true);
+  window.addEventListener('click', onPickerClick, true);
+  window.addEventListener('keydown', onPickerKeydown, true);
+
+  // Players often act on the press rather than the click, so keep those from the page too
+  ['pointerdown', 'pointerup', 'mousedown', 'mouseup'].forEach(eventType => {
+    window.addEventListener(eventType, blockPickerEvent, true);
+  });
+
+  return true;
+}
+
+// Stop the picker and remove its highlight and, unless it's still needed, its banner
+function stopButtonPicker(keepBanner) {
+  if (!activePicker) {
+    return;
+  }
+
+  window.removeEventListener('mouseover', onPickerHover, true);
+  window.removeEventListener('click', onPickerClick, true);
+  window.removeEventListener('keydown', onPickerKeydown, true);
+  ['pointerdown', 'pointerup', 'mousedown', 'mouseup'].forEach(eventType => {
+    window.removeEventListener(eventType, blockPickerEvent, true);
+  });
+
+  activePicker.highlight.remove();
+  if (!keepBanner) {
+    activePicker.banner.remove();
+  }
+  activePicker = null;
+}
+
+// The element a click would really go to: the closest button-like ancestor of what's under the cursor.
+// Callers pass the event's composed path target, so buttons inside open shadow roots can be picked too.
+function pickerTargetFor(element) {
+  if (!(element instanceof Element)) {
+    return null;
+  }
+  return element.closest('button, [role="button"], a, input') || element;
+}
+
+// Outline the element under the cursor
+function onPickerHover(event) {
+  const target = pickerTargetFor(event.composedPath()[0]);
+  if (!target) {
+    return;
+  }
+
+  const rect = target.getBoundingClientRect();
+  Object.assign(activePicker.highlight.style, {
+    display: 'block',
+    top: `${rect.top}px`,
+    left: `${rect.left}px`,
+    width: `${rect.width}px`,
+    height: `${rect.height}px`
+  });
+}
+
+// Save a selector for the clicked element, without letting the page see the click
+function onPickerClick(event) {
+  blockPickerEvent(event);
+
+  const target = pickerTargetFor(event.composedPath()[0]);
+  const command = activePicker.command;
+  const banner = activePicker.banner;
+  const selector = target ? buildStableSelector(target) : null;
+
+  if (!selector) {
+    banner.textContent = 'Could not build a selector for that element, try another one';
+    return;
+  }
+
+  // Keep the banner for the confirmation
+  stopButtonPicker(true);
+
+  saveLearnedSelector(command, selector)
+    .then(() => {
+      banner.textContent = `Saved the ${PICKER_COMMAND_LABELS[command]} button for ${location.hostname}`;
+    })
+    .catch((error) => {
+      banner.textContent = `Could not save the button: ${describeStorageError(error)}`;
+    })
+    .finally(() => {
+      setTimeout(() => banner.remove(), 2500);
+    });
+}
+
+// Escape cancels picking
+function onPickerKeydown(event) {
+  if (event.key === 'Escape') {
+    blockPickerEvent(event);
+    stopButtonPicker();
+  }
+}
+
+// Keep an event from reaching the page while picking
+function blockPickerEvent(event) {
+  event.preventDefault();
+  event.stopPropagation();
+  event.stopImmediatePropagation();
+}
+
+// Save the selector for a command in this site's profile, creating the profile if there isn't one
+function saveLearnedSelector(command, selector) {
+  return loadSettings().then((settings) => {
+    const siteProfiles = settings.siteProfiles.slice();
+    let profile = findSiteProfile(settings, location.hostname);
+
+    if (!profile) {
+      profile = normalizeSiteProfile({ name: location.hostname, hostPattern: location.hostname });
+      siteProfiles.push(profile);
+    }
+
+    profile.selectors[command] = selector;
+    return saveSettings({ siteProfiles: siteProfiles });
+  });
+}
+
+// Labels and classes that change with the player's state: a play button labelled "Play" becomes
+// "Pause" once clicked, and "vjs-paused" becomes "vjs-playing", so a selector built on them breaks
+const STATEFUL_LABEL_PATTERN = /\b(play|pause|mute|unmute|fullscreen|full screen|exit|enter|on|off|show|hide)\b/i;
+const STATEFUL_CLASS_PATTERN = /(^|[-_])(paused|playing|ended|muted|active|selected|checked|pressed|expanded|hidden|visible)$/i;
+
+// Ids and classes that look generated by CSS-in-JS, CSS modules or build tools change between deploys
+function isStableName(name) {
+  return /^[a-zA-Z][\w-]*$/.test(name) &&
+    !/^(css|sc|jsx|emotion)-/.test(name) &&
+    !/\d{3,}/.test(name) &&
+    !/[_-](?=[a-zA-Z0-9]*\d)[a-zA-Z0-9]{5,}$/.test(name);
+}
+
+// Check that a selector finds exactly this element
+function selectsOnly(selector, element) {
+  try {
+    const matches = deepQuerySelectorAll(selector);
+    return matches.length === 1 && matches[0] === element;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Build a selector for one element that should survive page reloads. Tries, in order: a stable id,
+// data attributes (data-plyr, data-testid, ...), stable classes, labels (aria-label, title) that
+// don't change with the player's state, and finally a short path of :nth-of-type steps from the
+// nearest ancestor that has a stable selector of its own.
+function buildStableSelector(element) {
+  const ownSelector = buildOwnSelector(element);
+  if (ownSelector) {
+    return ownSelector;
+  }
+
+  const steps = [];
+  let current = element;
+
+  while (current && current !== document.documentElement && steps.length < 6) {
+    const parent = current.parentElement;
+    if (!parent) {
+      break;
+    }
+
+    const sameTagSiblings = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+    const tag = current.tagName.toLowerCase();
+    steps.unshift(sameTagSiblings.length > 1 ? `${tag}:nth-of-type(${sameTagSiblings.indexOf(current) + 1})` : tag);
+
+    const parentSelector = buildOwnSelector(parent);
+    if (parentSelector) {
+      const selector = `${parentSelector} > ${steps.join(' > ')}`;
+      return selectsOnly(selector, element) ? selector : null;
+    }
+
+    current = parent;
+  }
+
+  return null;
+}
+
+// A selector for the element built only from its own attributes, or null if none is unique
+function buildOwnSelector(element) {
+  const tag = element.tagName.toLowerCase();
+
+  if (element.id && isStableName(element.id)) {
+    const selector = `#${CSS.escape(element.id)}`;
+    if (selectsOnly(selector, element)) {
+      return selector;
+    }
+  }
+
+  for (const attribute of ['data-plyr', 'data-testid', 'data-test']) {
+    const selector = buildAttributeSelector(element, attribute);
+    if (selector) {
+      return selector;
+    }
+  }
+
+  const classes = Array.from(element.classList).filter(className => isStableName(className) && !STATEFUL_CLASS_PATTERN.test(className));
+  if (classes.length > 0) {
+    const selector = `${tag}.${classes.map(className => CSS.escape(className)).join('.')}`;
+    if (selectsOnly(selector, element)) {
+      return selector;
+    }
+  }
+
+  for (const attribute of ['aria-label', 'title', 'name']) {
+    const value = element.getAttribute(attribute);
+    if (value && !STATEFUL_LABEL_PATTERN.test(value)) {
+      const selector = buildAttributeSelector(element, attribute);
+      if (selector) {
+        return selector;
+      }
+    }
+  }
+
+  return null;
+}
+
+// A selector for the element by one of its attributes, or null if the element lacks it or it isn't unique
+function buildAttributeSelector(element, attribute) {
+  const value = element.getAttribute(attribute);
+  if (!value) {
+    return null;
+  }
+
+  const selector = `${element.tagName.toLowerCase()}[${attribute}="${CSS.escape(value)}"]`;
+  return selectsOnly(selector, element) ? selector : null;
+}
@@ -0,0 +1,176 @@
+// Player index.
+// The videos, player control bars and buttons of this frame, open shadow roots included, are
+// collected once and kept current by a MutationObserver, so commands look them up instead of
+// scanning the whole page. Lookups only ever return elements that are still in the page.
+
+// Control bars of the players the extension knows, then generic ones, most specific first
+const CONTROL_BAR_SELECTORS = [
+  '.plyr__controls', // Plyr specific
+  '.ytp-left-controls', '.ytp-chrome-bottom', // YouTube specific
+  '.vjs-control-bar', // VideoJS specific
+  '.mejs__controls', // MediaElementJS specific
+  '[class*="video-controls"]', // Generic
+  '[class*="media-controls"]', // Generic
+  '[class*="player-controls"]', // Generic
+  // Broader selectors as fallback for groups
+  '[class*="controls"]',
+  '[class*="Controls"]'
+  // Removed '[class*="player"]' and '[class*="Player"]' as they are too broad for control groups
+];
+
+const CONTROL_BAR_SELECTOR = CONTROL_BAR_SELECTORS.join(', ');
+
+// Elements that act as buttons: real buttons, elements with the button role, and Media Chrome's controls
+const INDEXED_BUTTON_SELECTOR = 'button, [role="button"], ' +
+  'media-play-button, media-seek-backward-button, media-seek-forward-button, media-mute-button';
+
+// What the observer watches: added and removed elements, and the attributes that make an
+// element a control bar or a button
+const PLAYER_INDEX_OBSERVER_OPTIONS = { childList: true, subtree: true, attributes: true, attributeFilter: ['class', 'role'] };
+
+const indexedVideoSet = new Set();
+const indexedControlBarSet = new Set();
+const indexedButtonSet = new Set();
+
+// Custom elements not defined yet. Content scripts can't see the page's custom element
+// registry, so these are checked for the shadow root their upgrade attached whenever the page
+// changes, and by a lookup that found nothing.
+const pendingCustomElements = new Set();
+
+const playerIndexObserver = new MutationObserver(updatePlayerIndex);
+
+// Apply the page's changes to the index
+function updatePlayerIndex(mutations) {
+  if (mutations.length === 0) {
+    return;
+  }
+
+  let removed = false;
+
+  for (const mutation of mutations) {
+    if (mutation.type === 'attributes') {
+      indexElement(mutation.target);
+      continue;
+    }
+
+    mutation.addedNodes.forEach((node) => {
+      if (node instanceof Element) {
+        indexSubtree(node);
+      }
+    });
+    removed = removed || mutation.removedNodes.length > 0;
+  }
+
+  if (removed) {
+    [indexedVideoSet, indexedControlBarSet, indexedButtonSet, pendingCustomElements].forEach(pruneDetached);
+  }
+  indexUpgradedElements();
+}
+
+// Add an element, its descendants and everything in their open shadow roots to the index,
+// watching those shadow roots for changes too (the observer doesn't see into them otherwise)
+function indexSubtree(root) {
+  for (const scope of [root, ...collectOpenShadowRoots(root)]) {
+    if (scope instanceof ShadowRoot) {
+      playerIndexObserver.observe(scope, PLAYER_INDEX_OBSERVER_OPTIONS);
+    } else {
+      indexElement(scope);
+    }
+
+    scope.querySelectorAll(`video, ${INDEXED_BUTTON_SELECTOR}, ${CONTROL_BAR_SELECTOR}, :not(:defined)`)
+      .forEach(indexElement);
+  }
+}
+
+// Put an element in the sets it belongs in, and out of the ones it no longer does
+function indexElement(element) {
+  if (element instanceof HTMLVideoElement) {
+    indexedVideoSet.add(element);
+  }
+
+  setMembership(indexedButtonSet, element, element.matches(INDEXED_BUTTON_SELECTOR));
+  setMembership(indexedControlBarSet, element, element.matches(CONTROL_BAR_SELECTOR));
+
+  if (!element.matches(':defined')) {
+    pendingCustomElements.add(element);
+  }
+}
+
+// Add an element to a set or take it out
+function setMembership(set, element, isMember) {
+  if (isMember) {
+    set.add(element);
+  } else {
+    set.delete(element);
+  }
+}
+
+// Forget the elements of a set that were removed from the page
+function pruneDetached(set) {
+  for (const element of set) {
+    if (!element.isConnected) {
+      set.delete(element);
+    }
+  }
+}
+
+// Index the custom elements that were upgraded since they were last checked, returns whether there were any
+function indexUpgradedElements() {
+  let upgraded = false;
+
+  for (const element of pendingCustomElements) {
+    if (element.matches(':defined')) {
+      pendingCustomElements.delete(element);
+      indexSubtree(element);
+      upgraded = true;
+    }
+  }
+
+  return upgraded;
+}
+
+// Run a lookup on the current index. Changes the observer hasn't delivered yet are applied
+// first, so removed elements are never returned. When the lookup finds nothing, it runs again
+// if a custom element was upgraded in the meantime.
+function lookUpIndex(lookup) {
+  updatePlayerIndex(playerIndexObserver.takeRecords());
+
+  const found = lookup();
+  const missed = Array.isArray(found) ? found.length === 0 : !found;
+  return missed && pendingCustomElements.size > 0 && indexUpgradedElements() ? lookup() : found;
+}
+
+// The videos in this frame
+function indexedVideos() {
+  return lookUpIndex(() => Array.from(indexedVideoSet));
+}
+
+// The control bars in this frame that match a selector from CONTROL_BAR_SELECTORS
+function indexedControlBars(selector) {
+  return lookUpIndex(() => Array.from(indexedControlBarSet).filter(element => element.matches(selector)));
+}
+
+// The first button in this frame that matches a selector
+function findIndexedButton(selector) {
+  return lookUpIndex(() => Array.from(indexedButtonSet).find(element => element.matches(selector)) || null);
+}
+
+// The buttons in this frame
+function indexedButtons() {
+  return lookUpIndex(() => Array.from(indexedButtonSet));
+}
+
+// The <button> elements inside an element, open shadow roots included, like
+// deepQuerySelectorAll('button', element): the ones in its own tree first, in page order
+function indexedButtonsIn(element) {
+  const root = element.getRootNode();
+  const inside = lookUpIndex(() => Array.from(indexedButtonSet)
+    .filter(button => button !== element && button instanceof HTMLButtonElement && deepContains(element, button)));
+
+  const inTree = inside.filter(button => button.getRootNode() === root)
+    .sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+  return inTree.concat(inside.filter(button => button.getRootNode() !== root));
+}
+
+indexSubtree(document.documentElement);
+playerIndexObserver.observe(document, PLAYER_INDEX_OBSERVER_OPTIONS);
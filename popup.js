@@ -1,4 +1,317 @@
-// Simple script for the popup
+// Script for the popup: a remote for the active tab's video plus the shortcut list and settings
 document.addEventListener('DOMContentLoaded', function () {
-  // You could add functionality here if you want to add interactive elements to the popup
-}); 
\ No newline at end of file
+  // Show the keys assigned to commands that ship without a suggested shortcut
+  chrome.commands.getAll(function (commands) {
+    commands.forEach(function (command) {
+      const keyElement = document.querySelector(`[data-command="${command.name}"] .key`);
+      if (keyElement && command.shortcut) {
+        keyElement.textContent = command.shortcut;
+      }
+    });
+  });
+
+  // Quick access to the seek settings, the rest are on the options page
+  const seekStepSelect = document.getElementById('seek-step');
+  const accelerateCheckbox = document.getElementById('accelerate-seeks');
+
+  loadSettings().then(function (settings) {
+    // The options page allows any step, show it even if it isn't one of the presets
+    if (!seekStepSelect.querySelector(`option[value="${settings.seekStep}"]`)) {
+      const option = document.createElement('option');
+      option.value = settings.seekStep;
+      option.textContent = `${settings.seekStep}s`;
+      seekStepSelect.appendChild(option);
+    }
+
+    seekStepSelect.value = String(settings.seekStep);
+    accelerateCheckbox.checked = settings.accelerateSeeks;
+    updateSeekButtons();
+  });
+
+  seekStepSelect.addEventListener('change', function () {
+    saveSettings({ seekStep: parseInt(seekStepSelect.value) }).catch(showSaveError);
+    updateSeekButtons();
+  });
+
+  accelerateCheckbox.addEventListener('change', function () {
+    saveSettings({ accelerateSeeks: accelerateCheckbox.checked }).catch(showSaveError);
+  });
+
+  document.getElementById('open-options').addEventListener('click', function (event) {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  connectRemote();
+});
+
+// Function to tell the user a setting wasn't saved
+function showSaveError(error) {
+  const message = document.getElementById('save-error');
+  message.textContent = `Could not save: ${describeStorageError(error)}`;
+  message.hidden = false;
+}
+
+// Port to the content script of the frame being remote-controlled
+let remotePort = null;
+
+// True while the user drags the scrub bar, so live updates don't fight the drag
+let isScrubbing = false;
+
+// Lesson key of the remote-controlled video, whose bookmarks are listed
+let currentLessonKey = null;
+
+// The chapters last listed, as JSON, so the list is only rebuilt when they change
+let renderedChapters = '[]';
+
+// Function to find the frame the keyboard shortcuts would control and connect to it
+function connectRemote() {
+  const remote = document.getElementById('remote');
+  const status = document.getElementById('remote-status');
+
+  chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
+    if (tabs.length === 0) {
+      status.textContent = 'No active tab.';
+      return;
+    }
+
+    const tabId = tabs[0].id;
+
+    // The background script runs the same frame election as for keyboard commands
+    chrome.runtime.sendMessage({ action: 'findTargetFrame', tabId: tabId }, function (target) {
+      if (chrome.runtime.lastError || !target) {
+        status.textContent = 'Videos on this page can\'t be controlled.';
+        return;
+      }
+
+      remotePort = chrome.tabs.connect(tabId, { name: 'remote', frameId: target.frameId });
+
+      remotePort.onMessage.addListener(function (message) {
+        if (message.type === 'state') {
+          renderRemoteState(target.frameId, message);
+        }
+      });
+
+      remotePort.onDisconnect.addListener(function () {
+        remotePort = null;
+        remote.classList.remove('connected');
+        status.textContent = 'Lost the connection to the page.';
+      });
+    });
+  });
+
+  bindRemoteControls();
+}
+
+// Function to show the live playback state sent by the content script
+function renderRemoteState(frameId, message) {
+  const remote = document.getElementById('remote');
+  const status = document.getElementById('remote-status');
+  const state = message.state;
+
+  if (!state) {
+    remote.classList.remove('connected');
+    status.textContent = 'No video found on this page.';
+    return;
+  }
+
+  remote.classList.add('connected');
+
+  const frameName = frameId === 0 ? 'the page' : `an embedded frame (${message.hostname})`;
+  status.textContent = `Controlling the ${state.adapterLabel} player in ${frameName}.`;
+
+  const scrub = document.getElementById('scrub');
+  scrub.max = state.duration;
+  if (!isScrubbing) {
+    scrub.value = state.currentTime;
+    document.getElementById('current-time').textContent = formatTime(state.currentTime);
+  }
+  document.getElementById('duration').textContent = formatTime(state.duration);
+
+  document.getElementById('play-pause-button').textContent = state.paused ? 'Play' : 'Pause';
+  document.getElementById('speed').textContent = `${state.playbackRate}x`;
+  document.getElementById('volume').value = state.muted ? 0 : state.volume;
+  document.getElementById('toggle-mute-button').textContent = state.muted ? 'Unmute' : 'Mute';
+  renderChapters(message.chapters, state.currentTime);
+
+  if (message.lesson !== currentLessonKey) {
+    currentLessonKey = message.lesson;
+    renderBookmarks();
+  }
+
+  document.getElementById('loop-range').textContent = message.loop
+    ? `Loop ${formatTime(message.loop.start)} - ${formatTime(message.loop.end)}`
+    : 'No loop';
+}
+
+// Function to wire the remote's buttons and sliders to the port
+function bindRemoteControls() {
+  const commandButtons = {
+    'rewind-button': 'rewind',
+    'play-pause-button': 'play-pause',
+    'fast-forward-button': 'fast-forward',
+    'slow-down-button': 'slow-down',
+    'speed-up-button': 'speed-up',
+    'reset-speed-button': 'reset-speed',
+    'toggle-mute-button': 'toggle-mute',
+    'set-loop-a-button': 'set-loop-a',
+    'set-loop-b-button': 'set-loop-b',
+    'clear-loop-button': 'clear-loop',
+    'toggle-transcript-button': 'toggle-transcript'
+  };
+
+  Object.keys(commandButtons).forEach(function (buttonId) {
+    document.getElementById(buttonId).addEventListener('click', function () {
+      sendRemoteMessage({
+        action: 'command',
+        command: commandButtons[buttonId],
+        seekSeconds: parseInt(document.getElementById('seek-step').value)
+      });
+    });
+  });
+
+  const scrub = document.getElementById('scrub');
+
+  scrub.addEventListener('input', function () {
+    isScrubbing = true;
+    document.getElementById('current-time').textContent = formatTime(parseFloat(scrub.value));
+  });
+
+  scrub.addEventListener('change', function () {
+    isScrubbing = false;
+    sendRemoteMessage({ action: 'seekTo', time: parseFloat(scrub.value) });
+  });
+
+  // Teach mode runs in the page, close the popup so the user can pick the button
+  document.querySelectorAll('[data-teach]').forEach(function (button) {
+    button.addEventListener('click', function () {
+      if (remotePort) {
+        remotePort.postMessage({ action: 'startPicker', command: button.dataset.teach });
+        window.close();
+      }
+    });
+  });
+
+  const volume = document.getElementById('volume');
+  volume.addEventListener('input', function () {
+    sendRemoteMessage({ action: 'setVolume', volume: parseFloat(volume.value) });
+  });
+
+  document.getElementById('export-lesson-bookmarks').addEventListener('click', function () {
+    loadLessonBookmarks(currentLessonKey).then(function (lesson) {
+      if (lesson) {
+        downloadMarkdown(bookmarksToMarkdown([lesson]), 'video-bookmarks.md');
+      }
+    });
+  });
+
+  document.getElementById('export-all-bookmarks').addEventListener('click', function () {
+    loadAllBookmarks().then(function (lessons) {
+      const allLessons = Object.values(lessons);
+      if (allLessons.length > 0) {
+        downloadMarkdown(bookmarksToMarkdown(allLessons), 'video-bookmarks.md');
+      }
+    });
+  });
+
+  // Bookmarks added in the page while the popup is open show up right away
+  chrome.storage.onChanged.addListener(function (changes, areaName) {
+    if (areaName === 'local' && changes[BOOKMARKS_KEY]) {
+      renderBookmarks();
+    }
+  });
+}
+
+// Function to list the video's chapters and mark the one playing, clicking one seeks to it
+function renderChapters(chapters, currentTime) {
+  const list = document.getElementById('chapter-list');
+  const chaptersJson = JSON.stringify(chapters);
+
+  if (chaptersJson !== renderedChapters) {
+    renderedChapters = chaptersJson;
+    list.innerHTML = '';
+    document.getElementById('chapters-heading').hidden = chapters.length === 0;
+
+    chapters.forEach(function (chapter) {
+      const item = document.createElement('li');
+      const time = document.createElement('span');
+      time.className = 'time';
+      time.textContent = formatTime(chapter.start);
+      item.append(time, chapter.title);
+      item.addEventListener('click', function () {
+        sendRemoteMessage({ action: 'seekTo', time: chapter.start });
+      });
+      list.appendChild(item);
+    });
+  }
+
+  const items = list.querySelectorAll('li');
+  chapters.forEach(function (chapter, index) {
+    const next = chapters[index + 1];
+    items[index].classList.toggle('current', currentTime >= chapter.start && (!next || currentTime < next.start));
+  });
+}
+
+// Function to list the bookmarks of the remote-controlled lesson, clicking one seeks to it
+function renderBookmarks() {
+  const list = document.getElementById('bookmark-list');
+
+  loadLessonBookmarks(currentLessonKey).then(function (lesson) {
+    list.innerHTML = '';
+
+    if (!lesson) {
+      const empty = document.createElement('li');
+      empty.textContent = 'None yet. Use the bookmark shortcut to add one.';
+      list.appendChild(empty);
+      return;
+    }
+
+    lesson.bookmarks.forEach(function (bookmark) {
+      const item = document.createElement('li');
+
+      const seekButton = document.createElement('button');
+      seekButton.className = 'seek';
+      const time = document.createElement('span');
+      time.className = 'time';
+      time.textContent = formatTime(bookmark.time);
+      seekButton.append(time, bookmark.note || '');
+      seekButton.addEventListener('click', function () {
+        sendRemoteMessage({ action: 'seekTo', time: bookmark.time });
+      });
+
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'delete';
+      deleteButton.title = 'Delete bookmark';
+      deleteButton.textContent = 'x';
+      deleteButton.addEventListener('click', function () {
+        removeBookmark(currentLessonKey, bookmark.createdAt);
+      });
+
+      item.append(seekButton, deleteButton);
+      list.appendChild(item);
+    });
+  });
+}
+
+// Function to save Markdown as a file download
+function downloadMarkdown(markdown, fileName) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([markdown], { type: 'text/markdown' }));
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Function to send a message to the remote-controlled frame, if still connected
+function sendRemoteMessage(message) {
+  if (remotePort) {
+    remotePort.postMessage(message);
+  }
+}
+
+// Function to label the seek buttons with the configured seek step
+function updateSeekButtons() {
+  const step = document.getElementById('seek-step').value;
+  document.getElementById('rewind-button').textContent = `-${step}s`;
+  document.getElementById('fast-forward-button').textContent = `+${step}s`;
+}
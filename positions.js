@@ -0,0 +1,89 @@
+// Resume positions store shared by the content scripts and the options page.
+// The last position watched in each lesson is kept in chrome.storage.local under one key,
+// keyed by the lesson's page URL plus a fingerprint of its video, so two videos on one
+// page, or a page that swaps its video, each keep their own position.
+
+// chrome.storage.local key holding { [lessonKey]: { position, duration, title, savedAt } }
+const RESUME_POSITIONS_KEY = 'resumePositions';
+
+// Positions kept at most, the least recently watched lessons are dropped first
+const RESUME_MAX_ENTRIES = 500;
+
+// Query parameters that track where a visit came from rather than which lesson it is
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|ref|source|t|vc-t)$/i;
+
+// The page URL without tracking parameters or trailing slash, query parameters sorted. The hash
+// is dropped unless it is a route ("#/lesson/3", "#!/lesson/3"), which is what tells the
+// lessons of a hash-routed site apart.
+function normalizeLessonUrl(url) {
+  const parsed = new URL(url);
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([name]) => !TRACKING_PARAMS.test(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const query = new URLSearchParams(params).toString();
+  const route = /^#!?\//.test(parsed.hash) ? parsed.hash.replace(/\/+$/, '') : '';
+  return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}${query ? `?${query}` : ''}${route}`;
+}
+
+// Identify a video by its duration and source. Blob sources (streaming players) get a new URL
+// on every load and signed URLs carry expiring tokens, so only the stable part of the source is used.
+function videoFingerprint(video) {
+  const source = video.currentSrc || video.src || '';
+  const stableSource = source.startsWith('blob:') ? 'stream' : source.split('?')[0];
+  return `${Math.round(video.duration)}@${stableSource}`;
+}
+
+// The key a video's position is saved under
+function lessonKey(url, video) {
+  return `${normalizeLessonUrl(url)}#${videoFingerprint(video)}`;
+}
+
+// Load the saved position for a lesson, null if there isn't one
+function loadResumePosition(key) {
+  return chrome.storage.local.get(RESUME_POSITIONS_KEY).then((stored) => {
+    const positions = stored[RESUME_POSITIONS_KEY] || {};
+    return positions[key] || null;
+  });
+}
+
+// Save a lesson's position, dropping positions older than the retention limit and the
+// least recently watched ones past RESUME_MAX_ENTRIES
+function saveResumePosition(key, entry, retentionDays) {
+  return chrome.storage.local.get(RESUME_POSITIONS_KEY).then((stored) => {
+    const positions = stored[RESUME_POSITIONS_KEY] || {};
+    positions[key] = Object.assign({}, entry, { savedAt: Date.now() });
+
+    const oldest = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const kept = Object.entries(positions)
+      .filter(([, saved]) => saved.savedAt >= oldest)
+      .sort(([, a], [, b]) => b.savedAt - a.savedAt)
+      .slice(0, RESUME_MAX_ENTRIES);
+
+    return chrome.storage.local.set({ [RESUME_POSITIONS_KEY]: Object.fromEntries(kept) });
+  });
+}
+
+// Forget a lesson's position, used once it has been watched to the end
+function removeResumePosition(key) {
+  return chrome.storage.local.get(RESUME_POSITIONS_KEY).then((stored) => {
+    const positions = stored[RESUME_POSITIONS_KEY] || {};
+    if (!(key in positions)) {
+      return;
+    }
+    delete positions[key];
+    return chrome.storage.local.set({ [RESUME_POSITIONS_KEY]: positions });
+  });
+}
+
+// How many lessons have a saved position
+function countResumePositions() {
+  return chrome.storage.local.get(RESUME_POSITIONS_KEY).then((stored) => {
+    return Object.keys(stored[RESUME_POSITIONS_KEY] || {}).length;
+  });
+}
+
+// Forget every saved position
+function clearResumePositions() {
+  return chrome.storage.local.remove(RESUME_POSITIONS_KEY);
+}
@@ -0,0 +1,261 @@
+// Settings store shared by the background script, content scripts, popup and options page.
+// The settings live in chrome.storage.sync under one key, together with the schema version
+// they were saved with, so settings saved by an older version of the extension can be migrated.
+// Site profiles are kept apart, one item each: sync storage allows only 8 KB per item.
+
+// chrome.storage.sync key holding { version, values } of every setting but the site profiles
+const SETTINGS_KEY = 'settings';
+
+// chrome.storage.sync keys of the site profiles are this followed by the profile's position
+const SITE_PROFILE_KEY_PREFIX = 'siteProfile.';
+
+// Bump this and add a migration below whenever saved settings need to change shape
+const SETTINGS_VERSION = 3;
+
+// Strategies the command engine knows about, in their default order
+const CONTROL_STRATEGY_NAMES = ['adapter', 'buttons', 'keyboard'];
+
+// Every setting with its type, default value and allowed range
+const SETTINGS_SCHEMA = {
+  // Seconds a single rewind or fast-forward moves
+  seekStep: { type: 'number', default: 10, min: 1, max: 300 },
+  // Whether quickly repeated seeks grow to two and three steps
+  accelerateSeeks: { type: 'boolean', default: true },
+  // Presses of the same seek closer together than this (ms) keep accelerating
+  seekStreakWindow: { type: 'number', default: 700, min: 100, max: 3000 },
+  // The seek never grows past this many steps
+  maxSeekMultiplier: { type: 'number', default: 3, min: 1, max: 10 },
+  // Percent of full volume a single volume-up or volume-down changes
+  volumeStep: { type: 'number', default: 10, min: 1, max: 50 },
+  // Whether volume-up may go past 100% by amplifying the video's sound
+  audioBoost: { type: 'boolean', default: false },
+  // The loudest a boosted video gets, in percent
+  maxBoost: { type: 'number', default: 200, min: 100, max: 400 },
+  // How many times the A-B loop replays before the video plays on, 0 loops until it is cleared
+  loopRepeats: { type: 'number', default: 0, min: 0, max: 100 },
+  // Seconds the video waits at the end of the A-B loop before replaying it
+  loopPause: { type: 'number', default: 0, min: 0, max: 10 },
+  // Whether a lesson opened again jumps straight to where it was left, instead of offering to
+  autoResume: { type: 'boolean', default: false },
+  // Days a lesson's position is kept after it was last watched
+  resumeRetentionDays: { type: 'number', default: 60, min: 1, max: 365 },
+  // How long (ms) to wait after injecting the content script before sending it a command
+  injectionDelay: { type: 'number', default: 200, min: 0, max: 2000 },
+  // How long (ms) a strategy gets to show an effect on the video before the next one is tried
+  verifyTimeout: { type: 'number', default: 400, min: 100, max: 2000 },
+  // Strategies the command engine tries, in order; leaving one out disables it
+  strategyOrder: { type: 'list', default: CONTROL_STRATEGY_NAMES, options: CONTROL_STRATEGY_NAMES },
+  // Whether each command shows what it did on top of the video
+  showOverlay: { type: 'boolean', default: true },
+  // Whether media keys and the system's media controls drive the video, on pages that don't handle them
+  mediaKeys: { type: 'boolean', default: true },
+  // Whether captions are drawn by the extension in the style below instead of by the player
+  captionOverride: { type: 'boolean', default: false },
+  // Caption text size (px) when the override is on
+  captionSize: { type: 'number', default: 24, min: 12, max: 64 },
+  // How opaque the caption background is (percent) when the override is on
+  captionBackground: { type: 'number', default: 75, min: 0, max: 100 },
+  // How high above the bottom of the video captions sit (percent of its height) when the override is on
+  captionPosition: { type: 'number', default: 10, min: 0, max: 90 },
+  // Per-site profiles, the first one whose host pattern matches the page is used
+  siteProfiles: { type: 'profiles', default: [] }
+};
+
+// What a site profile can give its own CSS selector for: the player's control bar, each command's
+// button and the items of the page's chapter list
+const PROFILE_SELECTOR_KEYS = ['controls', 'play-pause', 'rewind', 'fast-forward', 'chapters'];
+
+// Each migration turns settings saved with schema version N into version N + 1
+const SETTINGS_MIGRATIONS = {
+  // Version 1 had no settings key: the popup saved seekStep and accelerateSeeks as loose keys
+  1: (values) => ({
+    seekStep: values.seekStep,
+    accelerateSeeks: values.accelerateSeeks
+  }),
+  // Version 2 kept the site profiles in the settings item, saving moves them to their own items
+  2: (values) => values
+};
+
+// Loose keys written by version 1, removed once migrated
+const LEGACY_SETTING_KEYS = ['seekStep', 'accelerateSeeks'];
+
+// Fill in defaults and drop anything that doesn't match the schema
+function normalizeSettings(values) {
+  const settings = {};
+  const source = values || {};
+
+  for (const [name, field] of Object.entries(SETTINGS_SCHEMA)) {
+    const value = source[name];
+
+    if (field.type === 'number' && typeof value === 'number' && isFinite(value)) {
+      settings[name] = Math.min(Math.max(value, field.min), field.max);
+    } else if (field.type === 'boolean' && typeof value === 'boolean') {
+      settings[name] = value;
+    } else if (field.type === 'list' && Array.isArray(value)) {
+      settings[name] = normalizeStrategyOrder(value);
+    } else if (field.type === 'profiles' && Array.isArray(value)) {
+      settings[name] = value.map(normalizeSiteProfile).filter(Boolean);
+    } else {
+      settings[name] = Array.isArray(field.default) ? field.default.slice() : field.default;
+    }
+  }
+
+  return settings;
+}
+
+// Keep only known strategies, each once
+function normalizeStrategyOrder(strategyOrder) {
+  return strategyOrder.filter((name, index) => CONTROL_STRATEGY_NAMES.includes(name) && strategyOrder.indexOf(name) === index);
+}
+
+// Clean up a site profile, returns null for a profile without a host pattern.
+// A profile without its own strategy order (null) uses the global one.
+function normalizeSiteProfile(profile) {
+  if (!profile || typeof profile.hostPattern !== 'string' || !profile.hostPattern.trim()) {
+    return null;
+  }
+
+  const hostPattern = profile.hostPattern.trim().toLowerCase();
+  const selectors = {};
+
+  for (const key of PROFILE_SELECTOR_KEYS) {
+    const selector = profile.selectors && profile.selectors[key];
+    if (typeof selector === 'string' && selector.trim()) {
+      selectors[key] = selector.trim();
+    }
+  }
+
+  return {
+    name: typeof profile.name === 'string' && profile.name.trim() ? profile.name.trim() : hostPattern,
+    hostPattern: hostPattern,
+    selectors: selectors,
+    strategyOrder: Array.isArray(profile.strategyOrder) ? normalizeStrategyOrder(profile.strategyOrder) : null,
+    allowPositional: profile.allowPositional === true
+  };
+}
+
+// Check a hostname against a pattern where * matches anything, "*.example.com" also matches "example.com"
+function hostMatchesPattern(hostname, pattern) {
+  const host = hostname.toLowerCase();
+  if (pattern.startsWith('*.') && host === pattern.slice(2)) {
+    return true;
+  }
+
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`).test(host);
+}
+
+// Find the profile for a site, the first matching profile wins
+function findSiteProfile(settings, hostname) {
+  return settings.siteProfiles.find(profile => hostMatchesPattern(hostname, profile.hostPattern)) || null;
+}
+
+// The saved values brought up to SETTINGS_VERSION, in memory. Values saved by a newer version
+// of the extension are taken as they are, normalizeSettings() drops what it doesn't know.
+function migrateValues(stored) {
+  const saved = stored[SETTINGS_KEY];
+  let version = saved ? saved.version : 1;
+  let values = saved ? saved.values : stored;
+
+  // Since version 3 the site profiles have items of their own
+  if (version >= SETTINGS_VERSION) {
+    return Object.assign({}, values, { siteProfiles: readStoredSiteProfiles(stored) });
+  }
+
+  while (version < SETTINGS_VERSION && SETTINGS_MIGRATIONS[version]) {
+    values = SETTINGS_MIGRATIONS[version](values);
+    version++;
+  }
+
+  return values;
+}
+
+// Load the settings, migrating settings saved by an older version first. Only the background
+// script writes migrated settings back, with migrateStoredSettings().
+function loadSettings() {
+  return chrome.storage.sync.get(null).then(stored => normalizeSettings(migrateValues(stored)));
+}
+
+// Save settings saved by an older version again in the current shape and remove the loose keys
+// of version 1. Run by the background script when the extension is installed, updated or started,
+// instead of by every frame and page that loads the settings. Newer settings are left untouched.
+function migrateStoredSettings() {
+  return chrome.storage.sync.get(null).then((stored) => {
+    const saved = stored[SETTINGS_KEY];
+    const hasLegacyKeys = LEGACY_SETTING_KEYS.some(key => key in stored);
+
+    if (saved ? saved.version >= SETTINGS_VERSION : !hasLegacyKeys) {
+      return;
+    }
+
+    const settings = normalizeSettings(migrateValues(stored));
+    return writeSettings(settings, stored)
+      .then(() => chrome.storage.sync.remove(LEGACY_SETTING_KEYS));
+  });
+}
+
+// The site profiles saved in their own items, in order
+function readStoredSiteProfiles(stored) {
+  const profiles = [];
+
+  for (const [key, profile] of Object.entries(stored)) {
+    if (key.startsWith(SITE_PROFILE_KEY_PREFIX)) {
+      profiles[parseInt(key.slice(SITE_PROFILE_KEY_PREFIX.length))] = profile;
+    }
+  }
+
+  return profiles.filter(Boolean);
+}
+
+// Write normalized settings, the site profiles one item each, and remove the items of
+// profiles that no longer exist. stored is what chrome.storage.sync held before.
+function writeSettings(settings, stored) {
+  const values = Object.assign({}, settings);
+  delete values.siteProfiles;
+
+  const items = { [SETTINGS_KEY]: { version: SETTINGS_VERSION, values: values } };
+  settings.siteProfiles.forEach((profile, index) => {
+    items[SITE_PROFILE_KEY_PREFIX + index] = profile;
+  });
+
+  const staleKeys = Object.keys(stored).filter(key => key.startsWith(SITE_PROFILE_KEY_PREFIX) && !(key in items));
+
+  return chrome.storage.sync.set(items)
+    .then(() => chrome.storage.sync.remove(staleKeys));
+}
+
+// Save some settings, keeping the rest as they are. Resolves with the full new settings.
+function saveSettings(changes) {
+  return loadSettings().then((settings) => {
+    const updated = normalizeSettings(Object.assign({}, settings, changes));
+    return chrome.storage.sync.get(null)
+      .then(stored => writeSettings(updated, stored))
+      .then(() => updated);
+  });
+}
+
+// A message for a failed save, explaining the limits of sync storage when it was one of them
+function describeStorageError(error) {
+  const message = error && error.message ? error.message : String(error);
+
+  if (message.includes('QUOTA_BYTES_PER_ITEM')) {
+    return 'a site profile is larger than Chrome\'s sync storage allows (8 KB), shorten its selectors';
+  }
+  if (message.includes('QUOTA_BYTES') || message.includes('MAX_ITEMS')) {
+    return 'Chrome\'s sync storage is full, remove some site profiles';
+  }
+  if (message.includes('MAX_WRITE_OPERATIONS')) {
+    return 'too many saves in a short time, try again in a minute';
+  }
+  return message;
+}
+
+// Call back with the full new settings whenever they change, from any context or machine
+function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    const changed = Object.keys(changes).some(key => key === SETTINGS_KEY || key.startsWith(SITE_PROFILE_KEY_PREFIX));
+    if (areaName === 'sync' && changed && (!changes[SETTINGS_KEY] || changes[SETTINGS_KEY].newValue)) {
+      loadSettings().then(callback);
+    }
+  });
+}
@@ -0,0 +1,31 @@
+// Time formatting and parsing, shared by the content scripts and the popup.
+
+// Format seconds as m:ss, or h:mm:ss for long videos
+function formatTime(seconds) {
+  const totalSeconds = Math.floor(seconds || 0);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const secs = String(totalSeconds % 60).padStart(2, '0');
+
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${secs}`;
+  }
+  return `${minutes}:${secs}`;
+}
+
+// Parse "mm:ss", "h:mm:ss", plain seconds or a percentage of the duration into seconds, null if invalid
+function parseTimeInput(text, duration) {
+  const input = text.trim();
+
+  const percentMatch = input.match(/^(\d+(?:\.\d+)?)\s*%$/);
+  if (percentMatch) {
+    const percent = parseFloat(percentMatch[1]);
+    return percent <= 100 && isFinite(duration) ? duration * percent / 100 : null;
+  }
+
+  if (!/^\d+(?::[0-5]?\d){0,2}(?:\.\d+)?$/.test(input)) {
+    return null;
+  }
+
+  return input.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
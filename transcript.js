@@ -0,0 +1,349 @@
+// Transcript panel.
+// Collects the cues of a video's caption or subtitle track into a panel on the right of the
+// page: the line being spoken is highlighted, clicking a line seeks there, and the search box
+// jumps between the lines that match. Like the overlay it lives in a closed shadow root.
+
+// The open panel, or null: its host, the player it belongs to, the track it shows, its
+// lines ({ start, end, text, element }) and the current search matches
+let transcriptPanel = null;
+
+// Open the transcript of a player's video, or close it if it is already open
+function toggleTranscriptPanel(player) {
+  if (transcriptPanel) {
+    closeTranscriptPanel();
+    return 'Transcript closed';
+  }
+
+  const tracks = captionTracks(player.video);
+  if (tracks.length === 0) {
+    return 'No captions to build a transcript from';
+  }
+
+  openTranscriptPanel(player);
+  return null;
+}
+
+// Build the panel and fill it with the active caption track, or the preferred one when captions are off
+function openTranscriptPanel(player) {
+  const host = document.createElement('div');
+  host.style.cssText = 'all: initial; position: fixed; top: 0; right: 0; bottom: 0; width: 360px; z-index: 2147483646;';
+
+  const shadow = host.attachShadow({ mode: 'closed' });
+  shadow.innerHTML = `
+    <style>
+      .panel {
+        display: flex;
+        flex-direction: column;
+        height: 100%;
+        background: #fff;
+        color: #333;
+        font: 14px/1.4 Arial, sans-serif;
+        box-shadow: -2px 0 8px rgba(0, 0, 0, 0.25);
+      }
+      .header {
+        padding: 10px;
+        border-bottom: 1px solid #eee;
+      }
+      .title-row, .search-row {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+      }
+      .title-row {
+        margin-bottom: 8px;
+      }
+      .title {
+        flex: 1;
+        font-weight: bold;
+      }
+      select, input, button {
+        font: inherit;
+      }
+      input {
+        flex: 1;
+        min-width: 0;
+        padding: 4px 6px;
+      }
+      button {
+        padding: 2px 8px;
+        border: 1px solid #ddd;
+        border-radius: 4px;
+        background: #f5f5f5;
+        cursor: pointer;
+      }
+      .count {
+        font-size: 12px;
+        color: #666;
+        min-width: 40px;
+        text-align: center;
+      }
+      .lines {
+        flex: 1;
+        overflow-y: auto;
+        margin: 0;
+        padding: 0;
+        list-style: none;
+      }
+      .lines li {
+        display: flex;
+        gap: 8px;
+        padding: 4px 10px;
+        cursor: pointer;
+      }
+      .lines li:hover {
+        background: #f5f5f5;
+      }
+      .lines .time {
+        font-family: monospace;
+        font-size: 12px;
+        color: #4285f4;
+        padding-top: 2px;
+      }
+      .lines li.current {
+        background: #e8f0fe;
+      }
+      .lines li.match {
+        background: #fff3c4;
+      }
+      .lines li.active-match {
+        background: #ffd54f;
+      }
+      .empty {
+        padding: 10px;
+        color: #666;
+      }
+    </style>
+    <div class="panel">
+      <div class="header">
+        <div class="title-row">
+          <span class="title">Transcript</span>
+          <select class="track" hidden></select>
+          <button class="close" title="Close">x</button>
+        </div>
+        <div class="search-row">
+          <input class="search" type="search" placeholder="Search the transcript" />
+          <span class="count"></span>
+          <button class="previous" title="Previous match">&uarr;</button>
+          <button class="next" title="Next match">&darr;</button>
+        </div>
+      </div>
+      <ul class="lines"></ul>
+    </div>
+  `;
+
+  transcriptPanel = {
+    host: host,
+    root: shadow,
+    player: player,
+    track: null,
+    lines: [],
+    matches: [],
+    matchIndex: -1
+  };
+
+  const search = shadow.querySelector('.search');
+  const trackSelect = shadow.querySelector('.track');
+
+  shadow.querySelector('.close').addEventListener('click', closeTranscriptPanel);
+  search.addEventListener('input', () => searchTranscript(search.value));
+  shadow.querySelector('.next').addEventListener('click', () => jumpToMatch(1));
+  shadow.querySelector('.previous').addEventListener('click', () => jumpToMatch(-1));
+
+  // Keep what the user types away from the page's own shortcuts, Enter jumps to the next match
+  ['keydown', 'keyup', 'keypress'].forEach(eventType => {
+    shadow.querySelector('.panel').addEventListener(eventType, (event) => {
+      event.stopPropagation();
+      if (eventType === 'keydown' && event.key === 'Enter' && event.target === search) {
+        jumpToMatch(event.shiftKey ? -1 : 1);
+      } else if (eventType === 'keydown' && event.key === 'Escape') {
+        closeTranscriptPanel();
+      }
+    });
+  });
+
+  // Offer every caption track when there is more than one language
+  const tracks = captionTracks(player.video);
+  tracks.forEach((track, index) => {
+    const option = document.createElement('option');
+    option.value = index;
+    option.textContent = track.label || track.language || `Track ${index + 1}`;
+    trackSelect.appendChild(option);
+  });
+  trackSelect.hidden = tracks.length < 2;
+  trackSelect.addEventListener('change', () => loadTranscriptTrack(tracks[parseInt(trackSelect.value)]));
+
+  const activeIndex = player.adapter.getCaptionTrack(player);
+  const index = activeIndex >= 0 ? activeIndex : preferredCaptionTrack(player.video);
+  trackSelect.value = index;
+
+  attachToOverlayContainer(host);
+  loadTranscriptTrack(tracks[index]);
+}
+
+// Close the panel
+function closeTranscriptPanel() {
+  if (transcriptPanel) {
+    transcriptPanel.host.remove();
+    transcriptPanel = null;
+  }
+}
+
+// Fill the panel with a track's cues, waiting for them if the track is still loading
+function loadTranscriptTrack(track) {
+  const panel = transcriptPanel;
+  if (!panel) {
+    return;
+  }
+
+  panel.track = track;
+  renderTranscriptMessage('Loading the transcript...');
+
+  loadTrackCues(track).then((cues) => {
+    if (transcriptPanel === panel && panel.track === track) {
+      renderTranscriptLines(panel, cues);
+    }
+  });
+}
+
+// Fill the panel with the lines of a track's cues
+function renderTranscriptLines(panel, cues) {
+  const list = panel.root.querySelector('.lines');
+  list.textContent = '';
+  panel.lines = [];
+
+  for (const cue of cues) {
+    const text = cue.getCueAsHTML().textContent.replace(/\s+/g, ' ').trim();
+    const previous = panel.lines[panel.lines.length - 1];
+
+    // Captions often repeat a line across several cues while it scrolls up
+    if (!text || (previous && previous.text === text)) {
+      if (previous && text) {
+        previous.end = cue.endTime;
+      }
+      continue;
+    }
+
+    const element = document.createElement('li');
+    const time = document.createElement('span');
+    time.className = 'time';
+    time.textContent = formatTime(cue.startTime);
+    const line = document.createElement('span');
+    line.textContent = text;
+    element.append(time, line);
+
+    const start = cue.startTime;
+    element.addEventListener('click', () => {
+      panel.player.adapter.seekTo(panel.player, start);
+    });
+
+    list.appendChild(element);
+    panel.lines.push({ start: start, end: cue.endTime, text: text, element: element });
+  }
+
+  if (panel.lines.length === 0) {
+    renderTranscriptMessage('This caption track has no lines.');
+    return;
+  }
+
+  searchTranscript(panel.root.querySelector('.search').value);
+  highlightTranscriptLine(panel.player.video.currentTime);
+}
+
+// Show a message instead of the lines
+function renderTranscriptMessage(message) {
+  const list = transcriptPanel.root.querySelector('.lines');
+  list.textContent = '';
+  transcriptPanel.lines = [];
+  transcriptPanel.matches = [];
+  const item = document.createElement('li');
+  item.className = 'empty';
+  item.textContent = message;
+  list.appendChild(item);
+}
+
+// Highlight the line being spoken and keep it in view
+function highlightTranscriptLine(time) {
+  const lines = transcriptPanel.lines;
+  let current = null;
+
+  for (const line of lines) {
+    if (line.start <= time) {
+      current = line;
+    } else {
+      break;
+    }
+  }
+
+  for (const line of lines) {
+    const isCurrent = line === current;
+    if (line.element.classList.contains('current') !== isCurrent) {
+      line.element.classList.toggle('current', isCurrent);
+      if (isCurrent && transcriptPanel.matches.length === 0) {
+        line.element.scrollIntoView({ block: 'center' });
+      }
+    }
+  }
+}
+
+// Mark every line that contains the search text and jump to the first one
+function searchTranscript(query) {
+  const panel = transcriptPanel;
+  const text = query.trim().toLowerCase();
+
+  panel.matches = text ? panel.lines.filter(line => line.text.toLowerCase().includes(text)) : [];
+  panel.matchIndex = -1;
+
+  for (const line of panel.lines) {
+    line.element.classList.toggle('match', panel.matches.includes(line));
+    line.element.classList.remove('active-match');
+  }
+
+  if (panel.matches.length > 0) {
+    jumpToMatch(1);
+  } else {
+    panel.root.querySelector('.count').textContent = text ? '0/0' : '';
+  }
+}
+
+// Scroll to the next (1) or previous (-1) match, wrapping around
+function jumpToMatch(direction) {
+  const panel = transcriptPanel;
+  if (panel.matches.length === 0) {
+    return;
+  }
+
+  if (panel.matchIndex >= 0) {
+    panel.matches[panel.matchIndex].element.classList.remove('active-match');
+  }
+
+  panel.matchIndex = (panel.matchIndex + direction + panel.matches.length) % panel.matches.length;
+  const match = panel.matches[panel.matchIndex];
+  match.element.classList.add('active-match');
+  match.element.scrollIntoView({ block: 'center' });
+
+  panel.root.querySelector('.count').textContent = `${panel.matchIndex + 1}/${panel.matches.length}`;
+}
+
+// Follow the video: highlight the current line as it plays, rebuild for a new lesson,
+// and move into or out of fullscreen with the page
+document.addEventListener('timeupdate', (event) => {
+  if (transcriptPanel && event.target === transcriptPanel.player.video && transcriptPanel.lines.length > 0) {
+    highlightTranscriptLine(event.target.currentTime);
+  }
+}, true);
+
+document.addEventListener('loadedmetadata', (event) => {
+  if (transcriptPanel && event.target === transcriptPanel.player.video) {
+    const player = transcriptPanel.player;
+    closeTranscriptPanel();
+    if (captionTracks(player.video).length > 0) {
+      openTranscriptPanel(player);
+    }
+  }
+}, true);
+
+document.addEventListener('fullscreenchange', () => {
+  if (transcriptPanel) {
+    attachToOverlayContainer(transcriptPanel.host);
+  }
+});